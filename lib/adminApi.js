@@ -0,0 +1,105 @@
+const express = require('express');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Operator API under /api/admin. Every request needs the admin token from config.json, sent as
+// "Authorization: Bearer <token>". The API is switched off while no token is configured.
+//
+// The server passes in what the API may look at and do. Apart from getToken and announce these are async,
+// with several server processes they ask every one of them:
+//   getToken()                  the configured admin token
+//   listLobbies()               summaries of every lobby
+//   getLobby(code)              one lobby in more detail, or null
+//   getStats()                  server-wide counts and pack usage
+//   closeLobby(code, message)   force-closes a lobby, resolves to false if it doesn't exist
+//   announce(message)           sends a message to every connected client
+//   reloadConfig()              re-reads config.json
+//   reloadPacks()               reloads cards.json and the packs directory
+
+const log = logger.child({ component: 'adminApi' });
+const MAX_ANNOUNCEMENT_LENGTH = 500;
+
+function tokensMatch(given, expected) {
+    // Hashing first gives both sides the same length, which timingSafeEqual needs
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+// Express 4 doesn't catch rejected promises of route handlers itself
+function asyncRoute(handler) {
+    return (req, res) => handler(req, res).catch(err => {
+        log.error('Admin API request failed', { method: req.method, url: req.originalUrl, err });
+        res.status(500).json({ error: err.message });
+    });
+}
+
+function createAdminRouter(admin) {
+    const router = express.Router();
+    router.use(express.json({ limit: '10kb' }));
+
+    router.use((req, res, next) => {
+        const expected = admin.getToken();
+        if (!expected) return res.status(404).json({ error: 'The admin API is disabled. Set adminToken in config.json to enable it.' });
+        const [scheme, token] = (req.get('authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token || !tokensMatch(token, expected)) {
+            return res.status(401).json({ error: 'Invalid admin token.' });
+        }
+        next();
+    });
+
+    router.get('/stats', asyncRoute(async (req, res) => {
+        res.json(await admin.getStats());
+    }));
+
+    router.get('/lobbies', asyncRoute(async (req, res) => {
+        res.json(await admin.listLobbies());
+    }));
+
+    router.get('/lobbies/:code', asyncRoute(async (req, res) => {
+        const lobby = await admin.getLobby(req.params.code.toUpperCase());
+        if (!lobby) return res.status(404).json({ error: 'Lobby not found.' });
+        res.json(lobby);
+    }));
+
+    router.delete('/lobbies/:code', asyncRoute(async (req, res) => {
+        const message = typeof req.body?.message === 'string' && req.body.message.trim()
+            ? req.body.message.trim().substring(0, MAX_ANNOUNCEMENT_LENGTH)
+            : 'This lobby was closed by the server operator.';
+        if (!await admin.closeLobby(req.params.code.toUpperCase(), message)) return res.status(404).json({ error: 'Lobby not found.' });
+        res.json({ success: true });
+    }));
+
+    router.post('/announcements', (req, res) => {
+        const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+        if (!message) return res.status(400).json({ error: 'The announcement needs a message.' });
+        if (message.length > MAX_ANNOUNCEMENT_LENGTH) {
+            return res.status(400).json({ error: `Announcements can be at most ${MAX_ANNOUNCEMENT_LENGTH} characters.` });
+        }
+        admin.announce(message);
+        res.json({ success: true });
+    });
+
+    router.post('/reload/config', async (req, res) => {
+        try {
+            await admin.reloadConfig();
+            res.json({ success: true });
+        } catch (err) {
+            res.status(500).json({ error: `Could not reload the config: ${err.message}` });
+        }
+    });
+
+    router.post('/reload/packs', async (req, res) => {
+        try {
+            await admin.reloadPacks();
+            res.json({ success: true, packs: (await admin.getStats()).packsLoaded });
+        } catch (err) {
+            res.status(500).json({ error: `Could not reload the packs: ${err.message}` });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAdminRouter
+};
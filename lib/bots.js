@@ -0,0 +1,150 @@
+// Bot players fill empty seats. A bot is a regular player with isBot set and a botStrategy id; playBotTurn
+// plays its turns through the same Game methods humans use. A strategy decides what the bot does:
+//
+//   playCards({ hand, blackCard, pick, lobby })      returns the ids of the cards to play, pick of them
+//   pickWinner({ submissions, blackCard, lobby })    returns the submissionId of the winner when the bot is czar
+
+const crypto = require('crypto');
+const { getLobbyPlayer } = require('./game');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'bots' });
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'what', 'your', 'you', 'are', 'was', 'his', 'her', 'its',
+    'from', 'have', 'has', 'not', 'but', 'who', 'why', 'how', 'when', 'will', 'can', 'all', 'out', 'into'
+]);
+
+function pickRandom(items, count) {
+    const pool = [...items];
+    const picked = [];
+    while (picked.length < count && pool.length > 0) {
+        picked.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+    }
+    return picked;
+}
+
+// Lowercased words without markup or filler, cut down to a rough stem so "dancing" matches "dance".
+function keywords(text) {
+    const words = String(text).toLowerCase().replace(/<[^>]*>/g, ' ').match(/[\p{L}\p{N}']+/gu) || [];
+    return words.filter(word => word.length > 2 && !STOP_WORDS.has(word)).map(word => word.slice(0, 5));
+}
+
+// How well a white card fits the black card: shared keywords count most, shorter answers win ties.
+// A little noise keeps the bot from playing the same card every time.
+function scoreAnswer(blackKeywords, card) {
+    const cardKeywords = keywords(card.text);
+    const overlap = cardKeywords.filter(word => blackKeywords.has(word)).length;
+    return overlap * 2 + 1 / (1 + cardKeywords.length) + Math.random() * 0.5;
+}
+
+const botStrategies = {
+    random: {
+        name: 'Random',
+        description: 'Plays and judges completely at random.',
+        playCards({ hand, pick }) {
+            return pickRandom(hand, pick).map(card => card.id);
+        },
+        pickWinner({ submissions }) {
+            return pickRandom(submissions, 1)[0]?.submissionId;
+        }
+    },
+
+    wordplay: {
+        name: 'Wordplay',
+        description: 'Prefers short answers that share words with the black card.',
+        playCards({ hand, blackCard, pick }) {
+            const blackKeywords = new Set(keywords(blackCard.text));
+            return hand
+                .map(card => ({ card, score: scoreAnswer(blackKeywords, card) }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, pick)
+                .map(({ card }) => card.id);
+        },
+        pickWinner({ submissions, blackCard }) {
+            const blackKeywords = new Set(keywords(blackCard.text));
+            let best = null;
+            for (const submission of submissions) {
+                const score = submission.cards.reduce((sum, card) => sum + scoreAnswer(blackKeywords, card), 0) / submission.cards.length;
+                if (!best || score > best.score) best = { submission, score };
+            }
+            return best?.submission.submissionId;
+        }
+    }
+};
+
+function getBotStrategy(id) {
+    return Object.prototype.hasOwnProperty.call(botStrategies, id) ? botStrategies[id] : null;
+}
+
+function listBotStrategies() {
+    return Object.entries(botStrategies).map(([id, strategy]) => ({
+        id,
+        name: strategy.name,
+        description: strategy.description
+    }));
+}
+
+// Bots sit in lobby.players like everyone else. They never disconnect and can't become host.
+// isNameTaken(name) tells whether another player already has the name, the bot then gets a number after it.
+function createBot(strategyId, isNameTaken = () => false) {
+    const baseName = `${getBotStrategy(strategyId).name} Bot`;
+    let name = baseName;
+    for (let n = 2; isNameTaken(name); n++) name = `${baseName} ${n}`;
+    return {
+        id: `bot-${crypto.randomBytes(6).toString('hex')}`,
+        name,
+        score: 0,
+        hand: [],
+        submittedCards: null,
+        sessionToken: null,
+        connected: true,
+        isBot: true,
+        botStrategy: strategyId
+    };
+}
+
+// Makes one bot move in the game's current phase: a bot that hasn't played yet plays its cards, or a bot czar
+// picks the winner. Returns true when a bot moved, so the caller can give the next bot its turn after a pause.
+function playBotTurn(game) {
+    const lobby = game.lobby;
+    if (game.closed) return false;
+
+    if (lobby.gameState === 'playing') {
+        const waitingBots = lobby.players.filter(p => p.botStrategy && p.id !== lobby.czarId && !p.submittedCards);
+        for (const bot of waitingBots) {
+            const strategy = getBotStrategy(bot.botStrategy) || getBotStrategy('random');
+            const cardIds = strategy.playCards({
+                hand: [...bot.hand],
+                blackCard: lobby.currentBlackCard,
+                pick: lobby.currentBlackCard.pick || 1,
+                lobby
+            });
+            const error = game.submitCards(bot, cardIds);
+            if (!error) return true;
+            log.error('Bot could not play', { lobbyCode: lobby.code, playerName: bot.name, code: error.code, error: error.message });
+        }
+    } else if (lobby.gameState === 'judging') {
+        const czar = getLobbyPlayer(lobby, lobby.czarId);
+        if (!czar?.botStrategy) return false;
+        const strategy = getBotStrategy(czar.botStrategy) || getBotStrategy('random');
+        const submissionId = strategy.pickWinner({
+            submissions: lobby.roundSubmissions.map(sub => ({ submissionId: sub.submissionId, cards: sub.cards })),
+            blackCard: lobby.currentBlackCard,
+            lobby
+        });
+        const winningSubmission = lobby.roundSubmissions.find(sub => sub.submissionId === submissionId) || lobby.roundSubmissions[0];
+        if (winningSubmission) {
+            game.awardRound(winningSubmission);
+            return true;
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    getBotStrategy,
+    listBotStrategies,
+    createBot,
+    playBotTurn
+};
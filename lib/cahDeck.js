@@ -0,0 +1,395 @@
+const fs = require('fs').promises;
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'cahDeck' });
+
+// Pack ids must survive reloads, so they come from the pack data (metadata key, id or name), never from array positions.
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pack';
+}
+
+function uniquePackId(baseId, usedIds) {
+    let packId = baseId;
+    for (let n = 2; usedIds.has(packId); n++) {
+        packId = `${baseId}-${n}`;
+    }
+    usedIds.add(packId);
+    return packId;
+}
+
+function sampleCards(cards, count) {
+    const pool = [...cards];
+    const sample = [];
+    while (sample.length < count && pool.length > 0) {
+        sample.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+    }
+    return sample;
+}
+
+// Packs say which language their cards are in with a BCP 47 tag, `lang` or `language` in either format.
+// Packs without one are English.
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+function normalizeLanguage(tag) {
+    const language = String(tag ?? '').trim().toLowerCase().replace(/_/g, '-');
+    return LANGUAGE_TAG.test(language) ? language : DEFAULT_LANGUAGE;
+}
+
+// 'pt' matches packs tagged 'pt' as well as 'pt-br', 'pt-br' only matches 'pt-br'
+function matchesLanguage(packLanguage, language) {
+    return packLanguage === language || packLanguage.startsWith(`${language}-`);
+}
+
+// Card text as a search sees it: lowercase, without markup
+function searchableText(text) {
+    return String(text).replace(/<[^>]*>/g, ' ').toLowerCase();
+}
+
+class CAHDeck {
+    constructor() {
+        this.deck = null;
+        this.compactSrc = undefined;
+        this.fullSrc = undefined;
+    }
+
+    _hydrateCompact(json) {
+        let hydratedPacks = [];
+
+        if (!json) {
+            log.error('Compact deck is null or undefined');
+            return [];
+        }
+
+        if (!json.metadata || typeof json.metadata !== 'object') {
+            log.error("Compact deck has no 'metadata' object with the pack information", { keys: Object.keys(json) });
+            return [];
+        }
+
+        if (!json.white || !Array.isArray(json.white)) {
+            log.error("Compact deck has no 'white' array of white cards");
+            return [];
+        }
+        if (!json.black || !Array.isArray(json.black)) {
+            log.error("Compact deck has no 'black' array of black cards");
+            return [];
+        }
+
+        const packIds = Object.keys(json.metadata);
+        for (let i = 0; i < packIds.length; i++) {
+            const packId = packIds[i];
+            const packData = json.metadata[packId];
+
+            if (!packData || typeof packData.name !== 'string' ||
+                !Array.isArray(packData.white) || !Array.isArray(packData.black)) {
+                log.warn('Skipping malformed pack in compact deck', { packId, packData });
+                continue;
+            }
+
+            let hydratedPack = {
+                id: packId,
+                name: packData.name,
+                official: packData.official, 
+                description: packData.description,
+                language: normalizeLanguage(packData.lang ?? packData.language),
+                white: [],
+                black: []
+            };
+            if (packData.icon) hydratedPack.icon = packData.icon;
+
+
+            hydratedPack.white = packData.white.map((cardIndex) => { 
+                if (typeof json.white[cardIndex] === 'undefined') {
+                    log.warn('Skipping white card index that is not in the deck', { packName: packData.name, cardIndex });
+                    return null;
+                }
+                return Object.assign(
+                    {},
+                    { text: json.white[cardIndex] },
+                    { pack: packId }, 
+                    packData.icon ? { icon: packData.icon } : {}
+                );
+            }).filter(card => card !== null);
+
+            hydratedPack.black = packData.black.map((cardIndex) => { 
+                if (typeof json.black[cardIndex] === 'undefined' || typeof json.black[cardIndex].text !== 'string' || typeof json.black[cardIndex].pick !== 'number') {
+                    log.warn('Skipping black card index that is missing or malformed (no text/pick)', { packName: packData.name, cardIndex });
+                    return null;
+                }
+                return Object.assign(
+                    {},
+                    json.black[cardIndex],
+                    { pack: packId }, 
+                    packData.icon ? { icon: packData.icon } : {}
+                );
+            }).filter(card => card !== null);
+
+            hydratedPacks.push(hydratedPack);
+        }
+        return hydratedPacks;
+    }
+
+    // The full format is an array of already-hydrated packs. Run each one through the same checks
+    // _hydrateCompact applies, so both formats produce packs of the same shape.
+    _hydrateFull(json) {
+        if (!Array.isArray(json)) {
+            log.error('Full deck is not an array of packs');
+            return [];
+        }
+
+        let hydratedPacks = [];
+        const usedIds = new Set();
+        json.forEach((packData, packIndex) => {
+            if (!packData || typeof packData.name !== 'string' ||
+                !Array.isArray(packData.white) || !Array.isArray(packData.black)) {
+                log.warn('Skipping malformed pack in full deck', { packIndex, packData });
+                return;
+            }
+
+            const packId = uniquePackId(packData.id !== undefined ? String(packData.id) : slugify(packData.name), usedIds);
+            let hydratedPack = {
+                id: packId,
+                name: packData.name,
+                official: packData.official,
+                description: packData.description,
+                language: normalizeLanguage(packData.lang ?? packData.language),
+                white: [],
+                black: []
+            };
+            if (packData.icon) hydratedPack.icon = packData.icon;
+
+            hydratedPack.white = packData.white.map((card) => {
+                const text = typeof card === 'string' ? card : card?.text;
+                if (typeof text !== 'string') {
+                    log.warn('Skipping white card without text', { packName: packData.name });
+                    return null;
+                }
+                return Object.assign(
+                    {},
+                    { text },
+                    { pack: packId },
+                    packData.icon ? { icon: packData.icon } : {}
+                );
+            }).filter(card => card !== null);
+
+            hydratedPack.black = packData.black.map((card) => {
+                if (!card || typeof card.text !== 'string' || typeof card.pick !== 'number') {
+                    log.warn('Skipping malformed black card (no text/pick)', { packName: packData.name });
+                    return null;
+                }
+                return Object.assign(
+                    {},
+                    card,
+                    { pack: packId },
+                    packData.icon ? { icon: packData.icon } : {}
+                );
+            }).filter(card => card !== null);
+
+            hydratedPacks.push(hydratedPack);
+        });
+        return hydratedPacks;
+    }
+
+    async _loadDeck() {
+        if (typeof this.compactSrc !== "undefined") {
+            try {
+                const fileContent = await fs.readFile(this.compactSrc, 'utf-8');
+                const json = JSON.parse(fileContent);
+                this.deck = this._hydrateCompact(json);
+            } catch (err) {
+                log.error('Error loading or parsing compact deck', { file: this.compactSrc, err });
+                throw Error(`Failed to load compact deck from source. Original error: ${err.message}`);
+            }
+        } else if (typeof this.fullSrc !== "undefined") {
+            try {
+                const fileContent = await fs.readFile(this.fullSrc, 'utf-8');
+                this.deck = this._hydrateFull(JSON.parse(fileContent)); 
+            } catch (err) {
+                log.error('Error loading or parsing full deck', { file: this.fullSrc, err });
+                throw Error(`Failed to load full deck from source. Original error: ${err.message}`);
+            }
+        } else {
+            throw Error("No source specified, please use CAHDeck.fromCompact(src) or CAHDeck.fromFull(src) to make your objects.");
+        }
+    }
+
+    static async fromCompact(compactSrc) {
+        let n = new CAHDeck();
+        n.compactSrc = compactSrc;
+        await n._loadDeck();
+        return n;
+    }
+
+    static async fromFull(fullSrc) {
+        let n = new CAHDeck();
+        n.fullSrc = fullSrc;
+        await n._loadDeck();
+        return n;
+    }
+
+    // Loads a file in either format. Compact decks are objects with a metadata map, full decks are arrays of packs.
+    static async fromFile(src) {
+        let json;
+        try {
+            json = JSON.parse(await fs.readFile(src, 'utf-8'));
+        } catch (err) {
+            log.error('Error loading or parsing deck', { file: src, err });
+            throw Error(`Failed to load deck from ${src}. Original error: ${err.message}`);
+        }
+        return Array.isArray(json) ? CAHDeck.fromFullJSON(json) : CAHDeck.fromCompactJSON(json);
+    }
+
+    // Combines several decks into one. Each pack id is prefixed with its source name so packs from
+    // different files can't collide, and the ids stay the same however many sources come and go.
+    static merge(sources) {
+        let n = new CAHDeck();
+        n.deck = [];
+        for (const { name, deck } of sources) {
+            for (const pack of deck.deck || []) {
+                const packId = `${name}:${pack.id}`;
+                n.deck.push({
+                    ...pack,
+                    id: packId,
+                    white: pack.white.map(card => ({ ...card, pack: packId })),
+                    black: pack.black.map(card => ({ ...card, pack: packId }))
+                });
+            }
+        }
+        return n;
+    }
+
+    // Build a deck from JSON that is already in memory, e.g. a pack uploaded by a lobby host.
+    static fromCompactJSON(json) {
+        let n = new CAHDeck();
+        n.deck = n._hydrateCompact(json);
+        return n;
+    }
+
+    static fromFullJSON(json) {
+        let n = new CAHDeck();
+        n.deck = n._hydrateFull(json);
+        return n;
+    }
+
+    // Inverse of _hydrateCompact: shared white/black card lists plus per-pack index lists.
+    static toCompactJSON(packs) {
+        let compact = { white: [], black: [], metadata: {} };
+        packs.forEach((pack, packIndex) => {
+            const packKey = pack.id !== undefined ? pack.id : packIndex;
+            let packMetadata = {
+                name: pack.name,
+                description: pack.description,
+                official: !!pack.official,
+                lang: normalizeLanguage(pack.language),
+                white: [],
+                black: []
+            };
+            if (pack.icon) packMetadata.icon = pack.icon;
+            pack.white.forEach(card => {
+                packMetadata.white.push(compact.white.length);
+                compact.white.push(card.text);
+            });
+            pack.black.forEach(card => {
+                packMetadata.black.push(compact.black.length);
+                let blackCard = { text: card.text, pick: card.pick };
+                if (typeof card.draw === 'number') blackCard.draw = card.draw;
+                compact.black.push(blackCard);
+            });
+            compact.metadata[packKey] = packMetadata;
+        });
+        return compact;
+    }
+
+    // Every pack, or only those in one language when language is given
+    listPacks({ language } = {}) {
+        let packs = [];
+        if (!this.deck) return packs;
+        const wanted = language ? normalizeLanguage(language) : null;
+        for (const { id, name, official, description, language: packLanguage, icon, white, black } of this.deck) {
+            if (wanted && !matchesLanguage(packLanguage, wanted)) continue;
+            let pack = {
+                id, name, official, description, language: packLanguage,
+                counts: {
+                    white: white.length,
+                    black: black.length,
+                    total: white.length + black.length,
+                },
+            };
+            if (icon) pack.icon = icon;
+            packs.push(pack);
+        }
+        return packs;
+    }
+
+    getPack(packId) {
+        if (!this.deck) return undefined;
+        return this.deck.find(pack => pack.id === packId);
+    }
+
+    getPacks(packIds) {
+        if (!this.deck) return { white: [], black: [] };
+        if (typeof packIds === "undefined" || packIds.length === 0) {
+            packIds = this.deck.map(pack => pack.id);
+        }
+
+        let white = [];
+        let black = [];
+        let cardIdCounter = 0; 
+
+        for (const packId of packIds) {
+            const pack = this.getPack(packId);
+            if (typeof pack !== "undefined") {
+                white.push(...pack.white.map(card => ({ ...card, id: `w_${cardIdCounter++}` })));
+                black.push(...pack.black.map(card => ({ ...card, id: `b_${cardIdCounter++}` })));
+            } else {
+                log.warn('Pack requested but not found in loaded deck', { packId });
+            }
+        }
+        return { white, black };
+    }
+
+    // Up to count random cards of each color from one pack, for previews. Undefined if there is no such pack.
+    samplePack(packId, count) {
+        const pack = this.getPack(packId);
+        if (!pack) return undefined;
+        return {
+            ...this.listPacks().find(p => p.id === packId),
+            white: sampleCards(pack.white, count).map(card => card.text),
+            black: sampleCards(pack.black, count).map(card => ({ text: card.text, pick: card.pick }))
+        };
+    }
+
+    // Finds the cards that contain every word of the query, in any order and case. Returns the packs with a match,
+    // most matches first, each with how many cards matched and up to examplesPerPack of them.
+    searchCards(query, examplesPerPack = 3) {
+        const words = searchableText(query).split(/\s+/).filter(Boolean);
+        if (!this.deck || words.length === 0) return [];
+        const matches = card => {
+            const text = searchableText(card.text);
+            return words.every(word => text.includes(word));
+        };
+
+        const results = [];
+        for (const pack of this.deck) {
+            const white = pack.white.filter(matches);
+            const black = pack.black.filter(matches);
+            if (white.length === 0 && black.length === 0) continue;
+            results.push({
+                id: pack.id,
+                name: pack.name,
+                official: pack.official,
+                language: pack.language,
+                matches: { white: white.length, black: black.length },
+                examples: [...black, ...white].slice(0, examplesPerPack).map(card => card.text)
+            });
+        }
+        const total = result => result.matches.white + result.matches.black;
+        return results.sort((a, b) => total(b) - total(a));
+    }
+}
+
+CAHDeck.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+CAHDeck.normalizeLanguage = normalizeLanguage;
+CAHDeck.matchesLanguage = matchesLanguage;
+
+module.exports = CAHDeck;
@@ -0,0 +1,46 @@
+const { createWordFilter } = require('./chat');
+
+// Keeps unwanted cards out of a lobby's decks. Three lists are checked when a game starts:
+//
+//   bannedCards    card texts banned on the whole server (config.json)
+//   blockedCards   card texts the lobby doesn't want (settings.blockedCards), grows with cards voted out in game
+//   blockedWords   keywords (settings.blockedWords), a card containing one as a whole word is left out
+//
+// Cards are matched by text rather than id, since ids change whenever the packs are reloaded. The comparison
+// ignores markup, case and extra whitespace.
+
+const MAX_BLOCKED_CARDS = 500; // Per lobby
+const MAX_BLOCKED_WORDS = 100;
+
+function normalizeCardText(text) {
+    return String(text).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Returns a function telling whether a card is filtered out, or null when there is nothing to filter.
+function createCardFilter({ bannedCards = [], blockedCards = [], blockedWords = [] } = {}) {
+    const blockedTexts = new Set([...bannedCards, ...blockedCards].map(normalizeCardText).filter(Boolean));
+    // Same whole word matching as the chat filter, a card that would be rejected as a message is blocked
+    const wordFilter = createWordFilter({ words: blockedWords, action: 'reject' });
+    if (blockedTexts.size === 0 && !wordFilter) return null;
+
+    return card => blockedTexts.has(normalizeCardText(card.text))
+        || (!!wordFilter && typeof wordFilter({ text: normalizeCardText(card.text) }) === 'object');
+}
+
+// cards: { white, black }. Returns the cards that pass the filter plus how many were left out.
+function filterCards(cards, options) {
+    const isBlocked = createCardFilter(options);
+    if (!isBlocked) return { white: cards.white, black: cards.black, removed: 0 };
+
+    const white = cards.white.filter(card => !isBlocked(card));
+    const black = cards.black.filter(card => !isBlocked(card));
+    return { white, black, removed: cards.white.length - white.length + cards.black.length - black.length };
+}
+
+module.exports = {
+    MAX_BLOCKED_CARDS,
+    MAX_BLOCKED_WORDS,
+    normalizeCardText,
+    createCardFilter,
+    filterCards
+};
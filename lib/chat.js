@@ -0,0 +1,42 @@
+// Chat moderation. Every message a player sends runs through the word filter from config.json, which masks the
+// words it looks for or rejects the message.
+
+const { serverMessage } = require('./messages');
+
+let wordFilter = null;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// config.chatFilter: { enabled, words: [...], action: 'mask' | 'reject' }. Words match whole words, case-insensitively.
+// The filter gets { text } and returns the text, masked or not, or { error } when the action is 'reject'.
+function createWordFilter({ words = [], action = 'mask' } = {}) {
+    const cleanWords = words
+        .filter(word => typeof word === 'string' && word.trim())
+        .map(word => escapeRegExp(word.trim()));
+    if (cleanWords.length === 0) return null;
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${cleanWords.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    return ({ text }) => {
+        if (text.search(pattern) === -1) return text;
+        if (action === 'reject') return { error: serverMessage('chatWordNotAllowed') };
+        return text.replace(pattern, match => '*'.repeat(match.length));
+    };
+}
+
+function configureWordFilter(options) {
+    wordFilter = options?.enabled ? createWordFilter(options) : null;
+}
+
+// Returns { text } with the text to send, or { error } with a message for the sender.
+function moderateChatMessage(text) {
+    const result = wordFilter ? wordFilter({ text }) : text;
+    return typeof result === 'object' ? result : { text: result };
+}
+
+module.exports = {
+    createWordFilter,
+    configureWordFilter,
+    moderateChatMessage
+};
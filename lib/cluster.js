@@ -0,0 +1,153 @@
+const cluster = require('cluster');
+const net = require('net');
+const crypto = require('crypto');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { logger } = require('./logger');
+
+// Running the server as several Node processes (config.cluster.workers > 1).
+//
+// The primary process only forks the workers and passes messages around. It accepts every TCP connection itself
+// and hands it to a worker picked from the client's IP address, so the long-polling requests of one browser always
+// reach the same worker. Workers run the normal server without listening on the port.
+//
+// Workers share socket.io rooms and broadcasts through ProcessAdapter: io.to(lobbyCode).emit() reaches the sockets
+// of every worker. Each lobby lives in the memory of exactly one worker, its owner, and only the owner runs game
+// logic for it. Lobby codes are hashed to a worker index, so every worker creates codes that belong to itself and
+// after a restart each worker restores the same lobbies it had before.
+
+const log = logger.child({ component: 'cluster' });
+const MESSAGE_TAG = 'cah:cluster';
+const CONNECTION_TAG = 'cah:connection';
+const READY_TAG = 'cah:ready';
+const RESTART_DELAY_MS = 1000;
+
+// Which worker index a lobby code belongs to
+function ownerIndexFor(lobbyCode, workerCount) {
+    return crypto.createHash('sha1').update(lobbyCode).digest().readUInt32BE(0) % workerCount;
+}
+
+function addressIndexFor(address, workerCount) {
+    return crypto.createHash('sha1').update(address || '').digest().readUInt32BE(0) % workerCount;
+}
+
+// { index, count } of this worker, or null when the server runs as a single process
+function getWorkerInfo() {
+    if (!cluster.isWorker || !process.env.CAH_WORKER_COUNT) return null;
+    return {
+        index: parseInt(process.env.CAH_WORKER_INDEX, 10),
+        count: parseInt(process.env.CAH_WORKER_COUNT, 10)
+    };
+}
+
+function isPrimary(workerCount) {
+    return workerCount > 1 && cluster.isPrimary;
+}
+
+// socket.io adapter for workers. Adapter messages go to the primary over IPC, which passes them on to every other
+// worker; responses carry the uid of the worker that asked and are ignored by everyone else.
+class ProcessAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, opts) {
+        super(nsp, opts);
+        this.onProcessMessage = message => {
+            if (message?.tag !== MESSAGE_TAG || message.nsp !== this.nsp.name) return;
+            if (message.requesterUid === undefined) this.onMessage(message.message);
+            else if (message.requesterUid === this.uid) this.onResponse(message.message);
+        };
+        process.on('message', this.onProcessMessage);
+        this.init(); // Announces this worker, socket.io doesn't call it for us
+    }
+
+    doPublish(message) {
+        process.send({ tag: MESSAGE_TAG, nsp: this.nsp.name, message });
+        return Promise.resolve('');
+    }
+
+    doPublishResponse(requesterUid, response) {
+        process.send({ tag: MESSAGE_TAG, nsp: this.nsp.name, requesterUid, message: response });
+        return Promise.resolve();
+    }
+
+    close() {
+        super.close();
+        process.off('message', this.onProcessMessage);
+    }
+}
+
+// io.adapter() wants a class it can construct with the namespace
+function createProcessAdapter(opts = {}) {
+    return class extends ProcessAdapter {
+        constructor(nsp) {
+            super(nsp, opts);
+        }
+    };
+}
+
+// Workers get their connections from the primary instead of listening themselves
+function acceptConnections(server) {
+    process.on('message', (message, connection) => {
+        if (message !== CONNECTION_TAG || !connection) return;
+        server.emit('connection', connection);
+        connection.resume();
+    });
+    process.send(READY_TAG);
+}
+
+function startPrimary({ workers, port, onListening }) {
+    const workerList = new Array(workers);
+    const readyWorkers = new Set();
+    let shuttingDown = false;
+
+    const onWorkerMessage = (from, message) => {
+        if (message === READY_TAG) return readyWorkers.add(from);
+        if (message?.tag !== MESSAGE_TAG) return;
+        workerList.forEach(worker => {
+            if (worker && worker !== from && worker.isConnected()) worker.send(message);
+        });
+    };
+
+    const fork = index => {
+        const worker = cluster.fork({ CAH_WORKER_INDEX: index, CAH_WORKER_COUNT: workers });
+        workerList[index] = worker;
+        worker.on('message', message => onWorkerMessage(worker, message));
+        worker.on('exit', (code, signal) => {
+            readyWorkers.delete(worker);
+            if (shuttingDown) return;
+            log.error('Worker exited, restarting it', { worker: index, exitCode: code, signal });
+            setTimeout(() => fork(index), RESTART_DELAY_MS);
+        });
+    };
+
+    for (let i = 0; i < workers; i++) fork(i);
+
+    const server = net.createServer({ pauseOnConnect: true }, connection => {
+        const worker = workerList[addressIndexFor(connection.remoteAddress, workers)];
+        // Until its worker is up the client can't be served, it will retry on its own
+        if (!readyWorkers.has(worker) || !worker.isConnected()) return connection.destroy();
+        worker.send(CONNECTION_TAG, connection);
+    });
+
+    const shutdown = (exitCode = 0) => {
+        shuttingDown = true;
+        server.close();
+        workerList.forEach(worker => worker?.kill());
+        process.exit(exitCode);
+    };
+    // The workers are already forked by now, take them down with us when the port can't be had
+    server.on('error', err => {
+        log.error('Could not listen for connections, shutting down', { port, err });
+        shutdown(1);
+    });
+    server.listen(port, onListening);
+    process.on('SIGINT', () => shutdown());
+    process.on('SIGTERM', () => shutdown());
+}
+
+module.exports = {
+    getWorkerInfo,
+    isPrimary,
+    ownerIndexFor,
+    addressIndexFor,
+    createProcessAdapter,
+    acceptConnections,
+    startPrimary
+};
@@ -0,0 +1,207 @@
+// Server configuration. Every option is listed in CONFIG_OPTIONS with its default and a rule in the format of
+// lib/validation.js. Values are taken from, later ones winning:
+//
+//   1. the defaults below
+//   2. config.json
+//   3. environment variables: CAH_ and the key in upper snake case (game.handSize -> CAH_GAME_HAND_SIZE)
+//   4. command line flags: the key in kebab case (game.handSize -> --game-hand-size 12 or --game-hand-size=12)
+//
+// In environment variables and flags, true/false options take true, false, 1 or 0 (a bare flag means true,
+// --no-<flag> false), lists are comma separated and options that may be null take 'null'.
+// resolveConfig reports every bad value at once, naming where it came from, so a typo stops the server instead
+// of being silently replaced by a default. Options marked public are sent to clients with the serverConfig event.
+
+const { validatePayload } = require('./validation');
+const { LOG_LEVELS } = require('./logger');
+
+const text = { type: 'string', minLength: 1, maxLength: 500 };
+const textList = { type: 'array', items: text };
+const playerCount = { type: 'integer', min: 2, max: 20 };
+
+const CONFIG_OPTIONS = [
+    { key: 'port', rule: { type: 'integer', min: 1, max: 65535 }, default: 3000, env: 'PORT', description: 'Port the server listens on' },
+    { key: 'allowSameNames', rule: { type: 'boolean' }, default: false, public: true, description: 'Let players in one lobby share a name' },
+    { key: 'roomsFunctionality', rule: { type: 'boolean' }, default: true, public: true, description: 'List public lobbies under Find Rooms' },
+    { key: 'storage.type', rule: { type: 'string', oneOf: ['json', 'memory'] }, default: 'json', description: "Where lobbies are saved: 'json' or 'memory', see lib/lobbyStore.js" },
+    { key: 'storage.path', rule: text, default: 'data/lobbies', description: 'Directory of the json lobby store' },
+    { key: 'deckFile', rule: text, default: 'cards.json', description: 'Main deck, in JSON Against Humanity compact or full format' },
+    { key: 'packsDirectory', rule: text, default: 'packs', description: 'Extra compact/full JSON decks loaded next to the main deck' },
+    { key: 'watchPacks', rule: { type: 'boolean' }, default: true, description: 'Reload packs when the main deck or the packs directory change' },
+    { key: 'chatFilter.enabled', rule: { type: 'boolean' }, default: false, description: 'Filter words in lobby chat' },
+    { key: 'chatFilter.words', rule: textList, default: [], description: 'Words the chat filter looks for' },
+    { key: 'chatFilter.action', rule: { type: 'string', oneOf: ['mask', 'reject'] }, default: 'mask', description: 'Mask filtered words or reject the message' },
+    { key: 'bannedCards', rule: textList, default: [], description: 'Card texts left out of every game on the server' },
+    { key: 'botTurnDelayMs', rule: { type: 'integer', min: 0, max: 60000 }, default: 1500, description: 'How long bots wait before each move' },
+    { key: 'gameHistory.path', rule: text, default: 'data/games', nullable: true, description: 'Directory of finished game records, null keeps them in memory only' },
+    { key: 'gameHistory.retentionHours', rule: { type: 'integer', min: 1, max: 24 * 365 }, default: 24, description: 'How long finished games are kept' },
+    { key: 'profiles.path', rule: text, default: 'data/profiles.json', nullable: true, description: 'File of player profiles, null keeps them in memory only' },
+    { key: 'adminToken', rule: { type: 'string', trim: false, maxLength: 500 }, default: '', description: 'Bearer token for /api/admin and the /admin page, empty switches them off' },
+    { key: 'cluster.workers', rule: { type: 'integer', min: 1, max: 64 }, default: 1, description: 'More than 1 runs that many server processes behind one port, see lib/cluster.js' },
+    { key: 'logging.level', rule: { type: 'string', oneOf: LOG_LEVELS }, default: 'info', description: 'Least important log entries written, see lib/logger.js' },
+    { key: 'game.handSize', rule: { type: 'integer', min: 3, max: 20 }, default: 10, public: true, description: 'White cards in every hand' },
+    { key: 'game.minPlayers', rule: playerCount, default: 3, public: true, description: 'Players needed to start a game' },
+    { key: 'game.defaultScoreToWin', rule: { type: 'integer', min: 1, max: 100 }, default: 7, public: true, description: 'Score to win of lobbies that do not choose one' },
+    { key: 'game.defaultMaxPlayers', rule: playerCount, default: 10, public: true, description: 'Player limit of lobbies that do not choose one' },
+    { key: 'game.lobbyCodeLength', rule: { type: 'integer', min: 4, max: 12 }, default: 5, description: 'Characters in new lobby codes' }
+];
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (isPlainObject(value) ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    let target = object;
+    for (const part of parts) {
+        if (!isPlainObject(target[part])) target[part] = {};
+        target = target[part];
+    }
+    target[last] = value;
+}
+
+function envName(option) {
+    return option.env || `CAH_${option.key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\./g, '_').toUpperCase()}`;
+}
+
+function flagName(option) {
+    return `--${option.key.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/\./g, '-').toLowerCase()}`;
+}
+
+function defaultConfig() {
+    const config = {};
+    CONFIG_OPTIONS.forEach(option => setPath(config, option.key, structuredClone(option.default)));
+    return config;
+}
+
+// Environment variables and flags are text. Anything that doesn't parse is passed on as is for validation to report.
+function parseText(option, input) {
+    const value = input.trim();
+    if (option.nullable && value === 'null') return null;
+    switch (option.rule.type) {
+        case 'integer':
+            return /^-?\d+$/.test(value) ? Number(value) : input;
+        case 'boolean':
+            return { true: true, false: false, 1: true, 0: false }[value.toLowerCase()] ?? input;
+        case 'array':
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        default:
+            return input;
+    }
+}
+
+// Copies config.json over the defaults. Nothing reads unknown options, they are most likely typos and only get a warning.
+function applyFile(config, values, prefix, problems) {
+    for (const [name, value] of Object.entries(values)) {
+        const key = `${prefix}${name}`;
+        if (CONFIG_OPTIONS.some(option => option.key === key)) {
+            config[name] = structuredClone(value);
+        } else if (CONFIG_OPTIONS.some(option => option.key.startsWith(`${key}.`))) {
+            if (isPlainObject(value)) applyFile(config[name], value, `${key}.`, problems);
+            else problems.errors.push(`${key} in config.json must be an object.`);
+        } else {
+            problems.warnings.push(`Unknown option ${key} in config.json.`);
+        }
+    }
+}
+
+function parseFlags(argv, problems) {
+    const values = new Map(); // option key -> { value, label }
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help') continue;
+        const match = /^--(no-)?([a-z0-9-]+)(?:=(.*))?$/s.exec(arg);
+        const option = match && CONFIG_OPTIONS.find(o => flagName(o) === `--${match[2]}`);
+        if (!option || (match[1] && option.rule.type !== 'boolean')) {
+            problems.errors.push(`Unknown command line option ${arg}, see --help.`);
+            continue;
+        }
+        const label = flagName(option);
+        if (option.rule.type === 'boolean' && match[3] === undefined) {
+            values.set(option.key, { value: !match[1], label });
+            continue;
+        }
+        const input = match[3] ?? argv[++i];
+        if (input === undefined) {
+            problems.errors.push(`${label} needs a value.`);
+            continue;
+        }
+        values.set(option.key, { value: parseText(option, input), label });
+    }
+    return values;
+}
+
+// fileValues: the parsed config.json. env: usually process.env, argv: the command line after the script name.
+// Returns { config, errors, warnings }, where errors and warnings are lists of English sentences.
+function resolveConfig(fileValues, { env = {}, argv = [] } = {}) {
+    const problems = { errors: [], warnings: [] };
+    const config = defaultConfig();
+    const labels = new Map(); // option key -> where its value came from, for error messages
+    if (isPlainObject(fileValues)) {
+        applyFile(config, fileValues, '', problems);
+        CONFIG_OPTIONS.forEach(option => {
+            if (getPath(fileValues, option.key) !== undefined) labels.set(option.key, `${option.key} in config.json`);
+        });
+    } else {
+        problems.errors.push('config.json must hold a JSON object.');
+    }
+
+    CONFIG_OPTIONS.forEach(option => {
+        const name = envName(option);
+        if (env[name] === undefined) return;
+        setPath(config, option.key, parseText(option, env[name]));
+        labels.set(option.key, name);
+    });
+    parseFlags(argv, problems).forEach(({ value, label }, key) => {
+        setPath(config, key, value);
+        labels.set(key, label);
+    });
+
+    CONFIG_OPTIONS.forEach(option => {
+        const input = getPath(config, option.key);
+        if (input === null && option.nullable) return;
+        const label = labels.get(option.key) || option.key;
+        const { value, error } = validatePayload({ option: { ...option.rule, required: true, label } }, { option: input });
+        if (error) problems.errors.push(error.message);
+        else setPath(config, option.key, value.option);
+    });
+    if (problems.errors.length === 0 && config.game.defaultMaxPlayers < config.game.minPlayers) {
+        problems.errors.push(`game.defaultMaxPlayers (${config.game.defaultMaxPlayers}) must be at least game.minPlayers (${config.game.minPlayers}).`);
+    }
+    return { config, ...problems };
+}
+
+// The part of the config clients get to see. Everything else (tokens, paths) stays on the server.
+function getPublicConfig(config) {
+    return Object.fromEntries(CONFIG_OPTIONS
+        .filter(option => option.public)
+        .map(option => [option.key.split('.').pop(), getPath(config, option.key)]));
+}
+
+function formatHelp() {
+    const lines = [
+        'Usage: node server.js [options]',
+        '',
+        'Every option can also be set in config.json or with the environment variable shown.',
+        ''
+    ];
+    CONFIG_OPTIONS.forEach(option => {
+        const flag = option.rule.type === 'boolean' ? `${flagName(option)}, --no-${flagName(option).slice(2)}` : `${flagName(option)} <value>`;
+        lines.push(`  ${flag}`);
+        lines.push(`      ${option.description} (${envName(option)}, default: ${JSON.stringify(option.default)})`);
+    });
+    lines.push('  --help', '      Show this list');
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    CONFIG_OPTIONS,
+    defaultConfig,
+    resolveConfig,
+    getPublicConfig,
+    formatHelp
+};
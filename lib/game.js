@@ -0,0 +1,801 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { runHouseRuleHook, runHouseRuleAction } = require('./houseRules');
+const { createGameRecord, addRound, finishGameRecord } = require('./gameHistory');
+const { normalizeCardText, MAX_BLOCKED_CARDS } = require('./cardFilter');
+const { getGameMode, rankPlayers } = require('./gameModes');
+const { serverMessage, toMessage } = require('./messages');
+
+// The rules of the game, apart from sockets, timers and storage so they can be tested on their own.
+//
+// A Game works on the plain state object of one lobby (see createLobbyState), the same object the lobby store
+// snapshots. It never talks to clients. Instead it emits events, which the server turns into socket messages,
+// timers and storage writes:
+//
+//   'changed'                      the lobby state changed, broadcast and save it
+//   'hand' (player)                the player's hand changed
+//   'message' (message)            a system message for the lobby chat, see lib/messages.js
+//   'deadline'                     lobby.phaseDeadline was set or cleared, call phaseTimeout() once it passes
+//   'turn'                         a phase began in which bots may have something to do
+//   'roundWon' (player, submission)
+//   'roundEnded' ({ winner, durationMs })  a round was decided, winner is null when it was voided
+//   'gameOver' ({ info, winner, record })  record is the finished game record, if the game kept one
+//   'playerRemoved' (player)       a player or spectator is gone for good
+//   'closed' (message)             every human has left, the lobby should be deleted
+//
+// Requests that don't apply in the current state (a submission while judging, a second one from the same player)
+// are ignored. Methods that can refuse for a reason the player should see return that message (a message object
+// from lib/messages.js), null otherwise.
+
+const DEFAULT_HAND_SIZE = 10;
+const DEFAULT_MIN_PLAYERS = 3;
+
+function shuffleArray(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+}
+
+function generateSessionToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Opaque id for a round submission, so clients can pick a winner without learning who played it
+function generateSubmissionId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+// clientId identifies the browser across lobbies and sessions, it is what bans are checked against.
+// profileId links the player to their profile (lib/profiles.js) so the game counts towards their stats.
+function createPlayer(id, name, clientId = null, profileId = null) {
+    return {
+        id,
+        name,
+        score: 0,
+        hand: [],
+        submittedCards: null,
+        sessionToken: generateSessionToken(),
+        clientId,
+        profileId,
+        connected: true
+    };
+}
+
+// Spectators watch a lobby without a hand. Those with joinNextRound set are dealt in when the next round starts.
+function createSpectator(id, name, clientId = null, joinNextRound = false, profileId = null) {
+    return {
+        id,
+        name,
+        sessionToken: generateSessionToken(),
+        clientId,
+        profileId,
+        connected: true,
+        joinNextRound
+    };
+}
+
+function createLobbyState(code, host, settings) {
+    return {
+        code,
+        players: [host],
+        hostId: host.id,
+        gameState: 'waiting',
+        settings,
+        whiteDeck: [],
+        blackDeck: [],
+        whiteDiscard: [],
+        blackDiscard: [],
+        currentBlackCard: null,
+        czarId: null,
+        roundSubmissions: [],
+        roundWinnerInfo: null,
+        phaseDeadline: null,
+        spectators: [],
+        locked: false,
+        bans: [], // { id, name, clientId } of players the host banned
+        chatHistory: [],
+        customPacks: [],
+        customPackCounter: 0,
+        cardVotes: [], // { cardId, text, color, voterIds } for cards players want gone, see Game#voteRemoveCard
+        gameRecord: null, // The game being played, moved to the game history when it ends
+        roundsPlayed: 0,
+        roundStartedAt: null, // When the current round was dealt
+        gameEndsAt: null, // Set by timed game modes
+        lastGameId: null
+    };
+}
+
+function getLobbyPlayer(lobby, playerId) {
+    return lobby.players.find(p => p.id === playerId);
+}
+
+function getLobbySpectator(lobby, spectatorId) {
+    return lobby.spectators.find(s => s.id === spectatorId);
+}
+
+// Seats left once every spectator waiting to be dealt in has sat down.
+function getOpenSeats(lobby) {
+    const waitingSpectators = lobby.spectators.filter(s => s.joinNextRound).length;
+    return lobby.settings.maxPlayers - lobby.players.length - waitingSpectators;
+}
+
+// Votes it takes to remove a card: more than half of the human players. Bots don't vote.
+function getCardVotesNeeded(lobby) {
+    return Math.floor(lobby.players.filter(p => !p.isBot).length / 2) + 1;
+}
+
+// Votes from players who are still in the lobby
+function countCardVotes(lobby, vote) {
+    return vote.voterIds.filter(voterId => getLobbyPlayer(lobby, voterId)).length;
+}
+
+function revealSubmissions(lobby, winningSubmissionId) {
+    return lobby.roundSubmissions.map(sub => ({
+        submissionId: sub.submissionId,
+        playerName: sub.playerName,
+        cards: sub.cards,
+        isWinner: sub.submissionId === winningSubmissionId
+    }));
+}
+
+class Game extends EventEmitter {
+    // now: the clock deadlines and round durations are taken from, tests hand in their own
+    constructor(lobby, { handSize = DEFAULT_HAND_SIZE, minPlayers = DEFAULT_MIN_PLAYERS, now = Date.now } = {}) {
+        super();
+        this.lobby = lobby;
+        this.handSize = handSize;
+        this.minPlayers = minPlayers;
+        this.now = now;
+        this.closed = false;
+    }
+
+    changed() {
+        this.emit('changed');
+    }
+
+    // Everything a house rule may touch, see lib/houseRules.js
+    houseRuleContext() {
+        return {
+            lobby: this.lobby,
+            lobbyCode: this.lobby.code,
+            dealWhiteCards: (player, count) => this.dealWhiteCards(player, count),
+            sendHand: player => this.emit('hand', player),
+            message: text => this.emit('message', toMessage(text)),
+            submitCards: (player, cardIds) => this.submitCards(player, cardIds),
+            awardRound: submission => this.awardRound(submission),
+            voidRound: reason => this.voidRound(reason)
+        };
+    }
+
+    // What a game mode gets to see, see lib/gameModes.js
+    gameModeContext() {
+        return {
+            lobby: this.lobby,
+            now: this.now(),
+            message: text => this.emit('message', toMessage(text))
+        };
+    }
+
+    allSubmitted() {
+        const playersWhoPlay = this.lobby.players.filter(p => p.id !== this.lobby.czarId);
+        return this.lobby.roundSubmissions.length > 0 && this.lobby.roundSubmissions.length === playersWhoPlay.length;
+    }
+
+    // --- Joining and leaving ---
+
+    join(player) {
+        this.lobby.players.push(player);
+        this.emit('message', serverMessage('playerJoined', { name: player.name }));
+        this.changed();
+    }
+
+    watch(spectator) {
+        this.lobby.spectators.push(spectator);
+        this.emit('message', serverMessage(spectator.joinNextRound ? 'spectatorJoinsNextRound' : 'spectatorWatching', { name: spectator.name }));
+        this.changed();
+    }
+
+    // Moves a spectator into the game with a fresh hand (dealt by the caller) and a score of 0.
+    // They keep their session token, so a stored session stays valid.
+    seatSpectator(spectator) {
+        const lobby = this.lobby;
+        lobby.spectators = lobby.spectators.filter(s => s !== spectator);
+        const player = createPlayer(spectator.id, spectator.name, spectator.clientId, spectator.profileId);
+        player.sessionToken = spectator.sessionToken;
+        lobby.players.push(player);
+        return player;
+    }
+
+    seatWaitingSpectators() {
+        const lobby = this.lobby;
+        lobby.spectators
+            .filter(s => s.joinNextRound && s.connected)
+            .forEach(spectator => {
+                if (lobby.players.length >= lobby.settings.maxPlayers) return;
+                this.seatSpectator(spectator);
+                this.emit('message', serverMessage('spectatorSeated', { name: spectator.name }));
+            });
+    }
+
+    // A spectator asks for a seat: straight away while the lobby is waiting, otherwise at the next round.
+    requestSeat(spectatorId, join) {
+        const lobby = this.lobby;
+        const spectator = getLobbySpectator(lobby, spectatorId);
+        if (!spectator || lobby.gameState === 'gameOver') return null;
+        if (join && !spectator.joinNextRound && getOpenSeats(lobby) <= 0) return serverMessage('lobbyFull');
+
+        if (join && lobby.gameState === 'waiting') {
+            this.seatSpectator(spectator);
+        } else {
+            spectator.joinNextRound = !!join;
+        }
+        this.changed();
+        return null;
+    }
+
+    // Works for players and spectators alike, both keep their place until they leave for good.
+    disconnect(id) {
+        const player = getLobbyPlayer(this.lobby, id);
+        const person = player || getLobbySpectator(this.lobby, id);
+        if (!person) return;
+        person.connected = false;
+        if (player) runHouseRuleHook(this.houseRuleContext(), 'onPlayerGone');
+        this.changed();
+    }
+
+    // Every human is away, as after a server restart. Unlike disconnect nobody counts as gone, so the round
+    // waits for them to rejoin instead of being decided without them.
+    disconnectAll() {
+        [...this.lobby.players.filter(p => !p.isBot), ...this.lobby.spectators].forEach(person => {
+            person.connected = false;
+        });
+        this.changed();
+    }
+
+    // Moves the seat (or spectator place) with this session token to a new socket id.
+    // Returns { player, oldId } or { spectator, oldId }, or null if the session has no place in the lobby any more.
+    reconnect(sessionToken, newId) {
+        const lobby = this.lobby;
+        if (!sessionToken) return null;
+        const spectator = lobby.spectators.find(s => s.sessionToken === sessionToken);
+        if (spectator) {
+            const oldId = spectator.id;
+            spectator.id = newId;
+            spectator.connected = true;
+            return { spectator, oldId };
+        }
+        const player = lobby.players.find(p => p.sessionToken === sessionToken);
+        if (!player) return null;
+
+        const oldId = player.id;
+        if (oldId !== newId) {
+            player.id = newId;
+            if (lobby.hostId === oldId) lobby.hostId = newId;
+            if (lobby.czarId === oldId) lobby.czarId = newId;
+            lobby.roundSubmissions.forEach(sub => {
+                if (sub.playerId === oldId) sub.playerId = newId;
+            });
+            if (lobby.roundVotes?.[oldId]) {
+                lobby.roundVotes[newId] = lobby.roundVotes[oldId];
+                delete lobby.roundVotes[oldId];
+            }
+            (lobby.cardVotes || []).forEach(vote => {
+                vote.voterIds = vote.voterIds.map(voterId => voterId === oldId ? newId : voterId);
+            });
+        }
+        player.connected = true;
+        return { player, oldId };
+    }
+
+    leave(id, leaveMessage) {
+        if (getLobbyPlayer(this.lobby, id)) this.removePlayer(id, leaveMessage);
+        else if (getLobbySpectator(this.lobby, id)) this.removeSpectator(id, leaveMessage);
+    }
+
+    removePlayer(playerId, leaveMessage) {
+        const lobby = this.lobby;
+        const playerIndex = lobby.players.findIndex(p => p.id === playerId);
+        if (playerIndex === -1) return;
+
+        const removedPlayer = lobby.players[playerIndex];
+        lobby.players.splice(playerIndex, 1);
+        // Their hand goes back into the deck, and so does a submission that hasn't been judged yet
+        lobby.whiteDiscard.push(...removedPlayer.hand);
+        const pendingSubmission = lobby.roundSubmissions.find(sub => sub.playerId === playerId);
+        if (pendingSubmission && (lobby.gameState === 'playing' || lobby.gameState === 'judging')) {
+            lobby.whiteDiscard.push(...pendingSubmission.cards);
+        }
+        lobby.roundSubmissions = lobby.roundSubmissions.filter(sub => sub.playerId !== playerId);
+        this.emit('playerRemoved', removedPlayer);
+        this.emit('message', leaveMessage || serverMessage('playerLeft', { name: removedPlayer.name }));
+
+        if (!lobby.players.some(p => !p.isBot)) {
+            this.closed = true;
+            this.emit('closed', serverMessage('lobbyEmpty'));
+            return;
+        }
+
+        if (lobby.hostId === playerId) {
+            // Prefer someone who is actually connected
+            const newHost = lobby.players.find(p => !p.isBot && p.connected) || lobby.players.find(p => !p.isBot);
+            lobby.hostId = newHost.id;
+            this.emit('message', serverMessage('newHost', { name: newHost.name }));
+        }
+        if (lobby.gameState !== 'waiting' && lobby.gameState !== 'gameOver') {
+            if (lobby.players.length < this.minPlayers) {
+                this.end(serverMessage('notEnoughPlayers'));
+            } else if (lobby.czarId === playerId) {
+                this.emit('message', serverMessage('czarLeft', { name: removedPlayer.name }));
+                // Hand the czar role to whoever sat before them so the rotation lands on the next player.
+                lobby.czarId = lobby.players[(playerIndex - 1 + lobby.players.length) % lobby.players.length].id;
+                this.startRound();
+            } else if (lobby.gameState === 'playing' && this.allSubmitted()) {
+                // The player we were waiting on is gone, everyone left has already submitted.
+                this.startJudging();
+            } else if (lobby.gameState === 'judging' && lobby.roundSubmissions.length === 0) {
+                this.voidRound(serverMessage('onlySubmissionLeft', { name: removedPlayer.name }));
+            } else {
+                runHouseRuleHook(this.houseRuleContext(), 'onPlayerGone');
+            }
+        }
+        this.changed();
+    }
+
+    removeSpectator(spectatorId, leaveMessage) {
+        const lobby = this.lobby;
+        const spectator = getLobbySpectator(lobby, spectatorId);
+        if (!spectator) return;
+
+        lobby.spectators = lobby.spectators.filter(s => s !== spectator);
+        this.emit('playerRemoved', spectator);
+        this.emit('message', leaveMessage || serverMessage('spectatorLeft', { name: spectator.name }));
+        this.changed();
+    }
+
+    // --- Rounds ---
+
+    dealWhiteCards(player, count) {
+        const lobby = this.lobby;
+        for (let i = 0; i < count; i++) {
+            if (lobby.whiteDeck.length === 0) {
+                // Cards voted out while they were on the table end up here too, they don't go back in
+                lobby.whiteDeck = lobby.whiteDiscard.filter(card => !card.removed);
+                if (lobby.whiteDeck.length === 0) break;
+                lobby.whiteDiscard = [];
+                shuffleArray(lobby.whiteDeck);
+            }
+            player.hand.push(lobby.whiteDeck.pop());
+        }
+    }
+
+    // cards: { white, black } for the packs selected in the lobby
+    start(cards) {
+        const lobby = this.lobby;
+        if (lobby.gameState !== 'waiting') return null;
+        if (lobby.players.length < this.minPlayers) return serverMessage('needPlayers', { count: this.minPlayers });
+        if (cards.white.length === 0 || cards.black.length === 0) {
+            return serverMessage('needCards');
+        }
+
+        lobby.whiteDeck = [...cards.white];
+        lobby.blackDeck = [...cards.black];
+        shuffleArray(lobby.whiteDeck);
+        shuffleArray(lobby.blackDeck);
+        lobby.whiteDiscard = [];
+        lobby.blackDiscard = [];
+        lobby.cardVotes = [];
+        lobby.roundsPlayed = 0;
+        lobby.gameEndsAt = null;
+        lobby.gameRecord = createGameRecord(lobby.code);
+        runHouseRuleHook(this.houseRuleContext(), 'onGameStart');
+        getGameMode(lobby.settings.gameMode).onGameStart?.(this.gameModeContext());
+
+        lobby.players.forEach(player => {
+            player.score = 0;
+            player.lastScoredRound = null;
+            player.hand = [];
+            this.dealWhiteCards(player, this.handSize);
+            this.emit('hand', player);
+        });
+
+        lobby.czarId = lobby.players[0].id;
+        this.startRound();
+        return null;
+    }
+
+    // Moves on from a round's result, when the host asks or roundOverDelay runs out. Ignored in every other state,
+    // so it can't throw away a round that is still being played or start a game that was never started.
+    nextRound() {
+        if (this.closed || this.lobby.gameState !== 'roundOver') return;
+        this.startRound();
+    }
+
+    startRound() {
+        const lobby = this.lobby;
+        if (this.closed || lobby.gameState === 'gameOver') return;
+
+        lobby.gameState = 'playing';
+        lobby.roundSubmissions = [];
+        lobby.roundWinnerInfo = null;
+        lobby.roundVotes = null;
+        lobby.players.forEach(p => p.submittedCards = null);
+        this.seatWaitingSpectators();
+
+        // Rotate the czar role, skipping players that can't judge (like Rando Cardrissian)
+        const currentCzarIndex = lobby.players.findIndex(p => p.id === lobby.czarId);
+        for (let offset = 1; offset <= lobby.players.length; offset++) {
+            const candidate = lobby.players[(currentCzarIndex + offset) % lobby.players.length];
+            if (candidate.canJudge !== false) {
+                lobby.czarId = candidate.id;
+                break;
+            }
+        }
+        runHouseRuleHook(this.houseRuleContext(), 'chooseCzar');
+
+        if (!this.drawBlackCard()) return;
+
+        lobby.players.forEach(player => {
+            const cardsNeeded = this.handSize - player.hand.length;
+            if (cardsNeeded > 0) {
+                this.dealWhiteCards(player, cardsNeeded);
+            }
+        });
+        runHouseRuleHook(this.houseRuleContext(), 'onRoundStart');
+        lobby.players.forEach(player => this.emit('hand', player));
+        lobby.roundStartedAt = this.now();
+
+        this.setPhaseDeadline(lobby.settings.playTimeLimit);
+        this.changed();
+        runHouseRuleHook(this.houseRuleContext(), 'afterRoundStart');
+        this.emit('turn');
+    }
+
+    // Discards the current black card and draws the next one. Ends the game and returns false when there are none left.
+    drawBlackCard() {
+        const lobby = this.lobby;
+        if (lobby.blackDeck.length === 0) {
+            if (lobby.blackDiscard.length === 0) {
+                this.end(serverMessage('noBlackCards'));
+                this.changed();
+                return false;
+            }
+            lobby.blackDeck = [...lobby.blackDiscard];
+            lobby.blackDiscard = [];
+            shuffleArray(lobby.blackDeck);
+        }
+        if (lobby.currentBlackCard && !lobby.currentBlackCard.removed) lobby.blackDiscard.push(lobby.currentBlackCard);
+        lobby.currentBlackCard = lobby.blackDeck.pop();
+        return true;
+    }
+
+    // Replaces the black card of the round being played. Played cards go back to their owners' hands and the
+    // czar stays the same. House rules see it as a fresh round start so they can deal or play for the new card.
+    skipBlackCard() {
+        const lobby = this.lobby;
+        if (lobby.gameState !== 'playing') return serverMessage('skipOnlyWhilePlaying');
+        lobby.roundSubmissions.forEach(sub => {
+            const player = getLobbyPlayer(lobby, sub.playerId);
+            if (player) player.hand.push(...sub.cards.filter(card => !card.removed));
+            else lobby.whiteDiscard.push(...sub.cards);
+        });
+        lobby.roundSubmissions = [];
+        lobby.players.forEach(p => p.submittedCards = null);
+
+        if (!this.drawBlackCard()) return null;
+        this.emit('message', serverMessage('blackCardSkipped'));
+        runHouseRuleHook(this.houseRuleContext(), 'onRoundStart');
+        lobby.players.forEach(player => this.emit('hand', player));
+
+        this.setPhaseDeadline(lobby.settings.playTimeLimit);
+        this.changed();
+        runHouseRuleHook(this.houseRuleContext(), 'afterRoundStart');
+        this.emit('turn');
+        return null;
+    }
+
+    // A limit of 0 means the phase has no deadline.
+    setPhaseDeadline(seconds) {
+        this.lobby.phaseDeadline = seconds > 0 ? this.now() + seconds * 1000 : null;
+        this.emit('deadline');
+    }
+
+    // Called once lobby.phaseDeadline has passed. What happens depends on the phase the lobby is in by then.
+    phaseTimeout() {
+        const lobby = this.lobby;
+        lobby.phaseDeadline = null;
+
+        if (lobby.gameState === 'playing') {
+            if (lobby.roundSubmissions.length === 0) {
+                this.voidRound(serverMessage('nobodyPlayed'));
+            } else {
+                this.emit('message', serverMessage('timeUpJudging'));
+                this.startJudging();
+            }
+        } else if (lobby.gameState === 'judging') {
+            if (runHouseRuleHook(this.houseRuleContext(), 'onJudgeTimeout')) return;
+            if (lobby.roundSubmissions.length === 0 || lobby.settings.judgeTimeoutAction === 'void') {
+                this.voidRound(serverMessage('czarRanOutOfTime'));
+            } else {
+                this.emit('message', serverMessage('czarTimedOut'));
+                const randomSubmission = lobby.roundSubmissions[Math.floor(Math.random() * lobby.roundSubmissions.length)];
+                this.awardRound(randomSubmission);
+            }
+        } else if (lobby.gameState === 'roundOver') {
+            this.nextRound();
+        }
+    }
+
+    // A player plays cards from their hand this round.
+    submit(playerId, cardIds) {
+        const lobby = this.lobby;
+        const player = getLobbyPlayer(lobby, playerId);
+        if (!player || lobby.gameState !== 'playing' || player.id === lobby.czarId || player.submittedCards) return null;
+        return this.submitCards(player, cardIds);
+    }
+
+    // Shared by submit(), bots and house rules that play on someone's behalf. Returns an error message,
+    // or null when the cards were accepted.
+    submitCards(player, cardIds) {
+        const lobby = this.lobby;
+        const submittedCardsObjects = [];
+        const pickCount = lobby.currentBlackCard.pick || 1;
+
+        if (!Array.isArray(cardIds) || cardIds.length !== pickCount) {
+            return serverMessage('wrongCardCount', { count: pickCount });
+        }
+
+        for (const cardId of cardIds) {
+            const cardIndex = player.hand.findIndex(c => c.id === cardId);
+            if (cardIndex === -1) {
+                return serverMessage('invalidCard');
+            }
+            submittedCardsObjects.push(player.hand[cardIndex]);
+        }
+
+        player.submittedCards = submittedCardsObjects;
+        player.hand = player.hand.filter(card => !cardIds.includes(card.id));
+        this.emit('hand', player);
+
+        lobby.roundSubmissions.push({
+            submissionId: generateSubmissionId(),
+            playerId: player.id,
+            playerName: player.name,
+            cards: submittedCardsObjects
+        });
+
+        this.changed();
+        if (this.allSubmitted()) this.startJudging();
+        return null;
+    }
+
+    startJudging() {
+        const lobby = this.lobby;
+        lobby.gameState = 'judging';
+        shuffleArray(lobby.roundSubmissions);
+        runHouseRuleHook(this.houseRuleContext(), 'onJudgingStart');
+        this.setPhaseDeadline(lobby.settings.judgeTimeLimit);
+        this.changed();
+        this.emit('turn');
+    }
+
+    selectWinner(czarId, submissionId) {
+        const lobby = this.lobby;
+        if (lobby.gameState !== 'judging' || !czarId || czarId !== lobby.czarId) return;
+        const winningSubmission = lobby.roundSubmissions.find(sub => sub.submissionId === submissionId);
+        if (winningSubmission) this.awardRound(winningSubmission);
+    }
+
+    // Adds the round that just ended to the game's record, authors included.
+    recordRound(winningSubmission, reason) {
+        const lobby = this.lobby;
+        if (!lobby.gameRecord) return;
+        addRound(lobby.gameRecord, {
+            blackCard: lobby.currentBlackCard,
+            czarName: getLobbyPlayer(lobby, lobby.czarId)?.name,
+            winnerName: winningSubmission?.playerName,
+            voided: !winningSubmission,
+            reason: reason?.message ?? null,
+            submissions: revealSubmissions(lobby, winningSubmission?.submissionId)
+        });
+    }
+
+    awardRound(winningSubmission) {
+        const lobby = this.lobby;
+        const winner = getLobbyPlayer(lobby, winningSubmission.playerId);
+        winner.score++;
+        this.recordRound(winningSubmission);
+        this.emit('roundWon', winner, winningSubmission);
+        this.emit('message', serverMessage('roundWon', { name: winner.name, cards: winningSubmission.cards.map(c => c.text).join(' / ') }));
+        lobby.roundWinnerInfo = {
+            winnerName: winner.name,
+            winningSubmissionId: winningSubmission.submissionId,
+            winningCardsText: winningSubmission.cards.map(c => c.text),
+            blackCardText: lobby.currentBlackCard.text,
+            submissions: revealSubmissions(lobby, winningSubmission.submissionId)
+        };
+
+        lobby.roundSubmissions.forEach(sub => {
+            lobby.whiteDiscard.push(...sub.cards);
+        });
+        this.closeRound(winner);
+    }
+
+    // Ends the round without a winner, e.g. when nobody played or the czar timed out with judgeTimeoutAction 'void'.
+    // reason is a message, or plain text from a house rule.
+    voidRound(reason) {
+        const lobby = this.lobby;
+        reason = toMessage(reason);
+        this.emit('message', serverMessage('roundVoided', { reason }));
+        this.recordRound(null, reason);
+        lobby.roundWinnerInfo = {
+            voided: true,
+            reason,
+            winnerName: null,
+            winningCardsText: [],
+            blackCardText: lobby.currentBlackCard.text,
+            submissions: revealSubmissions(lobby, null)
+        };
+        lobby.roundSubmissions.forEach(sub => {
+            lobby.whiteDiscard.push(...sub.cards);
+        });
+        this.closeRound(null);
+    }
+
+    // Counts a decided round, winner is null when it was voided. Ends the game if the game mode says it is over,
+    // otherwise moves on to the pause before the next round.
+    closeRound(winner) {
+        const lobby = this.lobby;
+        const mode = getGameMode(lobby.settings.gameMode);
+        lobby.roundsPlayed = (lobby.roundsPlayed || 0) + 1;
+        if (winner) winner.lastScoredRound = lobby.roundsPlayed;
+        mode.onRoundEnd?.(this.gameModeContext(), winner);
+        if (lobby.roundStartedAt) this.emit('roundEnded', { winner, durationMs: this.now() - lobby.roundStartedAt });
+
+        if (mode.isOver(this.gameModeContext())) {
+            this.endWithStandings();
+            this.changed();
+        } else {
+            this.finishRound();
+        }
+    }
+
+    // Ends the game with whoever leads under the lobby's game mode as the winner, provided they scored at all.
+    endWithStandings(info = {}) {
+        const [leader] = rankPlayers(this.lobby);
+        if (leader && leader.score > 0) {
+            this.end({ ...info, winnerName: leader.name }, leader);
+        } else {
+            this.end({ ...serverMessage('nobodyScored'), ...info });
+        }
+    }
+
+    // The host calls it a day, e.g. in endless mode.
+    endEarly() {
+        const lobby = this.lobby;
+        if (lobby.gameState === 'waiting' || lobby.gameState === 'gameOver') return serverMessage('noGameToEnd');
+        // Cards on the table go back to the discard pile like at the end of any round
+        if (lobby.gameState === 'playing' || lobby.gameState === 'judging') {
+            lobby.roundSubmissions.forEach(sub => lobby.whiteDiscard.push(...sub.cards));
+            lobby.roundSubmissions = [];
+        }
+        this.endWithStandings(serverMessage('hostEndedGame'));
+        this.changed();
+        return null;
+    }
+
+    finishRound() {
+        this.lobby.gameState = 'roundOver';
+        this.setPhaseDeadline(this.lobby.settings.roundOverDelay);
+        this.changed();
+    }
+
+    end(info, winner = null) {
+        const lobby = this.lobby;
+        lobby.gameState = 'gameOver';
+        lobby.phaseDeadline = null;
+        this.emit('deadline');
+
+        const record = lobby.gameRecord;
+        if (record) {
+            finishGameRecord(record, { ...info, players: lobby.players });
+            lobby.lastGameId = record.id;
+            lobby.gameRecord = null;
+        }
+        this.emit('gameOver', { info, winner, record });
+    }
+
+    // --- Voting cards out ---
+
+    // A card the player can see: the black card, one in their own hand or one played this round. Played cards
+    // are only on the table from judging on, before that a vote would give away what was played and by whom.
+    findVisibleCard(player, cardId) {
+        const lobby = this.lobby;
+        if (lobby.currentBlackCard?.id === cardId) return { card: lobby.currentBlackCard, color: 'black' };
+        const revealed = lobby.gameState === 'judging' || lobby.gameState === 'roundOver';
+        const card = player.hand.find(c => c.id === cardId)
+            || (revealed && lobby.roundSubmissions.flatMap(sub => sub.cards).find(c => c.id === cardId));
+        return card ? { card, color: 'white' } : null;
+    }
+
+    // "Never show this card again". The first vote for a card opens a vote the rest of the lobby can join, and
+    // once more than half of the human players agree the card is taken out of the game (see removeCard).
+    voteRemoveCard(playerId, cardId) {
+        const lobby = this.lobby;
+        const player = getLobbyPlayer(lobby, playerId);
+        if (!player || player.isBot) return null;
+        if (lobby.gameState === 'waiting' || lobby.gameState === 'gameOver') return serverMessage('voteRemoveOnlyInGame');
+
+        lobby.cardVotes = lobby.cardVotes || [];
+        let vote = lobby.cardVotes.find(v => v.cardId === cardId);
+        if (!vote) {
+            const found = this.findVisibleCard(player, cardId);
+            if (!found) return serverMessage('cardNotInPlay');
+            vote = { cardId, text: found.card.text, color: found.color, voterIds: [] };
+            lobby.cardVotes.push(vote);
+            this.emit('message', serverMessage('voteRemoveCard', { name: player.name, card: vote.text }));
+        }
+        if (!vote.voterIds.includes(player.id)) vote.voterIds.push(player.id);
+
+        if (countCardVotes(lobby, vote) >= getCardVotesNeeded(lobby)) this.removeCard(vote);
+        this.changed();
+        return null;
+    }
+
+    // Takes every copy of a card out of the decks, discard piles and hands, where it is replaced with a new card.
+    // A copy on the table stays until the round is over and is not shuffled back in. Unless the lobby turned off
+    // settings.blockVotedCards the card also goes on the lobby's blocklist for the games after this one.
+    removeCard({ text, color }) {
+        const lobby = this.lobby;
+        const key = normalizeCardText(text);
+        const matches = card => normalizeCardText(card.text) === key;
+        lobby.cardVotes = (lobby.cardVotes || []).filter(vote => vote.color !== color || !matches(vote));
+
+        if (color === 'black') {
+            lobby.blackDeck = lobby.blackDeck.filter(card => !matches(card));
+            lobby.blackDiscard = lobby.blackDiscard.filter(card => !matches(card));
+            if (lobby.currentBlackCard && matches(lobby.currentBlackCard)) lobby.currentBlackCard.removed = true;
+        } else {
+            lobby.whiteDeck = lobby.whiteDeck.filter(card => !matches(card));
+            lobby.whiteDiscard = lobby.whiteDiscard.filter(card => !matches(card));
+            lobby.roundSubmissions.forEach(sub => sub.cards.forEach(card => {
+                if (matches(card)) card.removed = true;
+            }));
+            lobby.players.forEach(player => {
+                const hand = player.hand.filter(card => !matches(card));
+                if (hand.length === player.hand.length) return;
+                const missing = player.hand.length - hand.length;
+                player.hand = hand;
+                this.dealWhiteCards(player, missing);
+                this.emit('hand', player);
+            });
+        }
+
+        const blockedCards = lobby.settings.blockedCards || [];
+        if (lobby.settings.blockVotedCards !== false && blockedCards.length < MAX_BLOCKED_CARDS && !blockedCards.some(blocked => normalizeCardText(blocked) === key)) {
+            lobby.settings.blockedCards = [...blockedCards, text];
+        }
+        this.emit('message', serverMessage('cardVotedOut', { card: text }));
+    }
+
+    houseRuleAction(playerId, ruleId, action, data) {
+        const player = getLobbyPlayer(this.lobby, playerId);
+        if (!player) return null;
+        const error = runHouseRuleAction(this.houseRuleContext(), player, ruleId, action, data);
+        if (error) return toMessage(error);
+        if (!this.closed) this.changed();
+        return null;
+    }
+}
+
+module.exports = {
+    Game,
+    DEFAULT_MIN_PLAYERS,
+    createLobbyState,
+    getCardVotesNeeded,
+    createPlayer,
+    createSpectator,
+    getLobbyPlayer,
+    getLobbySpectator,
+    getOpenSeats
+};
@@ -0,0 +1,147 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// A record of one game, built up round by round while the game runs and kept in the history once it ends:
+//   { id, lobbyCode, startedAt, endedAt, winnerName, endMessage, players: [{ name, score, isBot }], rounds }
+// Each round is { number, blackCard: { text, pick }, czarName, winnerName, voided, reason,
+//                 submissions: [{ playerName, cards: [text], isWinner }] }.
+// Records are plain data, so they are saved with the lobby snapshot while the game is running.
+
+const log = logger.child({ component: 'gameHistory' });
+const GAME_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+function createGameRecord(lobbyCode) {
+    return {
+        id: crypto.randomBytes(8).toString('hex'),
+        lobbyCode,
+        startedAt: Date.now(),
+        endedAt: null,
+        winnerName: null,
+        endMessage: null,
+        players: [],
+        rounds: []
+    };
+}
+
+function addRound(record, { blackCard, czarName, winnerName, voided = false, reason = null, submissions }) {
+    record.rounds.push({
+        number: record.rounds.length + 1,
+        blackCard: { text: blackCard.text, pick: blackCard.pick || 1 },
+        czarName: czarName || null,
+        winnerName: winnerName || null,
+        voided,
+        reason,
+        submissions: submissions.map(sub => ({
+            playerName: sub.playerName,
+            cards: sub.cards.map(card => card.text),
+            isWinner: !!sub.isWinner
+        }))
+    });
+}
+
+function finishGameRecord(record, { winnerName, message, players }) {
+    record.endedAt = Date.now();
+    record.winnerName = winnerName || null;
+    record.endMessage = message || null;
+    record.players = players
+        .map(p => ({ name: p.name, score: p.score, isBot: !!p.isBot }))
+        .sort((a, b) => b.score - a.score);
+}
+
+// Puts the answers into the blanks of a black card, or after it when the card is a question.
+function fillBlackCard(text, answers) {
+    const remaining = [...answers];
+    const filled = text.replace(/_+/g, () => (remaining.length > 0 ? `**${remaining.shift()}**` : '____'));
+    return remaining.length > 0 ? `${filled} **${remaining.join(' / ')}**` : filled;
+}
+
+function gameRecordToMarkdown(record) {
+    const lines = [`# Game ${record.id} (lobby ${record.lobbyCode})`, ''];
+    lines.push(`Played ${new Date(record.startedAt).toUTCString()}, ${record.rounds.length} round(s).`);
+    lines.push(record.winnerName ? `Winner: **${record.winnerName}**` : (record.endMessage || 'The game ended without a winner.'));
+    lines.push('', '## Final scores', '');
+    record.players.forEach((p, i) => lines.push(`${i + 1}. ${p.name}${p.isBot ? ' (bot)' : ''}: ${p.score}`));
+
+    lines.push('', '## Rounds');
+    record.rounds.forEach(round => {
+        const winning = round.submissions.find(sub => sub.isWinner);
+        lines.push('', `### Round ${round.number}`, '');
+        lines.push(`> ${fillBlackCard(round.blackCard.text, winning ? winning.cards : [])}`, '');
+        if (round.czarName) lines.push(`Card Czar: ${round.czarName}`, '');
+        if (round.voided) lines.push(`No winner: ${round.reason}`, '');
+        round.submissions.forEach(sub => {
+            lines.push(`- ${sub.isWinner ? '**Winner** ' : ''}${sub.playerName}: "${sub.cards.join(' / ')}"`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Finished games are kept for retentionMs. With a directory they are also written there as <id>.json and
+// survive restarts; without one they only live in memory.
+class GameHistory {
+    constructor({ directory = null, retentionMs }) {
+        this.directory = directory;
+        this.retentionMs = retentionMs;
+        this.records = new Map();
+    }
+
+    _fileFor(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    _isExpired(record) {
+        return Date.now() - record.endedAt > this.retentionMs;
+    }
+
+    async load() {
+        if (!this.directory) return;
+        await fs.mkdir(this.directory, { recursive: true });
+        for (const file of await fs.readdir(this.directory)) {
+            if (path.extname(file) !== '.json') continue;
+            try {
+                const record = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf-8'));
+                if (GAME_ID_PATTERN.test(record?.id)) this.records.set(record.id, record);
+            } catch (err) {
+                log.warn('Ignoring unreadable game record', { file, error: err.message });
+            }
+        }
+        await this.prune();
+    }
+
+    async save(record) {
+        this.records.set(record.id, record);
+        if (!this.directory) return;
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this._fileFor(record.id), JSON.stringify(record));
+    }
+
+    get(id) {
+        if (!GAME_ID_PATTERN.test(id)) return null;
+        const record = this.records.get(id);
+        return record && !this._isExpired(record) ? record : null;
+    }
+
+    async prune() {
+        for (const [id, record] of this.records) {
+            if (!this._isExpired(record)) continue;
+            this.records.delete(id);
+            if (!this.directory) continue;
+            try {
+                await fs.unlink(this._fileFor(id));
+            } catch (err) {
+                if (err.code !== 'ENOENT') log.warn('Could not delete game record', { gameId: id, error: err.message });
+            }
+        }
+    }
+}
+
+module.exports = {
+    GameHistory,
+    createGameRecord,
+    addRound,
+    finishGameRecord,
+    fillBlackCard,
+    gameRecordToMarkdown
+};
@@ -0,0 +1,140 @@
+// Game modes decide when a game is over and who wins it. lobby.settings.gameMode holds the id, lobbies without one
+// play 'score'. A mode has a name and description for the lobby screens plus:
+//
+//   tieBreak                     how a tie for first place is settled, shown to players
+//   describe(settings)           short summary for lobby listings as a message, e.g. "first to 7 points"
+//   houseRules                   ids of house rules the mode switches on (optional)
+//   onGameStart(ctx)             before the first round (optional)
+//   onRoundEnd(ctx, winner)      after every round, winner is null for a voided round (optional)
+//   isOver(ctx)                  after every round, returns true to end the game
+//   rank(lobby)                  the players from first to last place, ties already broken (optional)
+//   standings(lobby)             { label, points: { playerId: points } } when the mode keeps its own leaderboard,
+//                                label is a message (optional)
+//
+// ctx: { lobby, now, message(message) }. Players count rounds with lobby.roundsPlayed and keep the round they last
+// scored in as lastScoredRound.
+
+const { serverMessage } = require('./messages');
+
+const DEFAULT_GAME_MODE = 'score';
+const ROLLING_ROUNDS = 10; // Rounds counted by the endless leaderboard
+
+// Most points first. A tie goes to whoever reached their score first, players who never scored come last.
+function rankByScore(players, points = player => player.score) {
+    return [...players].sort((a, b) => points(b) - points(a)
+        || (a.lastScoredRound ?? Infinity) - (b.lastScoredRound ?? Infinity));
+}
+
+function reachedScoreToWin({ lobby }) {
+    return lobby.players.some(p => p.score >= lobby.settings.scoreToWin);
+}
+
+// Points from the last ROLLING_ROUNDS rounds
+function rollingPoints(lobby, player) {
+    return (player.recentWins || []).filter(round => round > lobby.roundsPlayed - ROLLING_ROUNDS).length;
+}
+
+const gameModes = {
+    score: {
+        name: 'First to N points',
+        description: 'The first player to reach the score to win takes the game.',
+        tieBreak: 'The game ends the moment someone reaches the score. If the host ends it early, a tie goes to whoever got their points first.',
+        describe: settings => serverMessage('modeScore', { points: settings.scoreToWin }),
+        isOver: reachedScoreToWin
+    },
+
+    rounds: {
+        name: 'Fixed rounds',
+        description: 'Play a set number of rounds, the most points at the end wins.',
+        tieBreak: 'If the lead is tied after the last round, sudden death rounds are played until one player is ahead.',
+        describe: settings => serverMessage('modeRounds', { rounds: settings.roundLimit }),
+        isOver({ lobby, message }) {
+            if (lobby.roundsPlayed < lobby.settings.roundLimit) return false;
+            const [first, ...rest] = rankByScore(lobby.players);
+            const tied = rest.filter(p => p.score === first.score);
+            if (tied.length === 0) return true;
+            message(serverMessage('suddenDeath', { names: [first, ...tied].map(p => p.name).join(', ') }));
+            return false;
+        }
+    },
+
+    timed: {
+        name: 'Timed',
+        description: 'Play until the time is up, the most points wins. The round in progress is finished first.',
+        tieBreak: 'A tie goes to the player who reached that score first.',
+        describe: settings => serverMessage('modeTimed', { minutes: settings.gameTimeLimit }),
+        onGameStart({ lobby, now }) {
+            lobby.gameEndsAt = now + lobby.settings.gameTimeLimit * 60 * 1000;
+        },
+        isOver: ({ lobby, now }) => now >= lobby.gameEndsAt
+    },
+
+    endless: {
+        name: 'Endless',
+        description: `No score limit. The leaderboard counts the points of the last ${ROLLING_ROUNDS} rounds, the host ends the game when you are done.`,
+        tieBreak: 'A tie on the leaderboard goes to the most points overall, then to whoever scored first.',
+        describe: () => serverMessage('modeEndless'),
+        onGameStart({ lobby }) {
+            lobby.players.forEach(p => p.recentWins = []);
+        },
+        onRoundEnd({ lobby }, winner) {
+            if (!winner) return;
+            winner.recentWins = [...(winner.recentWins || []), lobby.roundsPlayed].slice(-ROLLING_ROUNDS);
+        },
+        isOver: () => false,
+        rank: lobby => [...lobby.players].sort((a, b) => rollingPoints(lobby, b) - rollingPoints(lobby, a)
+            || b.score - a.score
+            || (a.lastScoredRound ?? Infinity) - (b.lastScoredRound ?? Infinity)),
+        standings: lobby => ({
+            label: serverMessage('modeEndlessStandings', { rounds: ROLLING_ROUNDS }),
+            points: Object.fromEntries(lobby.players.map(p => [p.id, rollingPoints(lobby, p)]))
+        })
+    },
+
+    czarless: {
+        name: 'Czar-less',
+        description: 'There is no Card Czar. Everyone plays, then everyone votes for their favorite. First to the score to win takes the game.',
+        tieBreak: 'Tied votes within a round are broken at random. The game ends the moment someone reaches the score.',
+        describe: settings => serverMessage('modeCzarless', { points: settings.scoreToWin }),
+        houseRules: ['godIsDead'],
+        isOver: reachedScoreToWin
+    }
+};
+
+function getGameMode(id) {
+    return Object.prototype.hasOwnProperty.call(gameModes, id) ? gameModes[id] : gameModes[DEFAULT_GAME_MODE];
+}
+
+function listGameModes() {
+    return Object.entries(gameModes).map(([id, mode]) => ({
+        id,
+        name: mode.name,
+        description: mode.description,
+        tieBreak: mode.tieBreak
+    }));
+}
+
+function sanitizeGameMode(id) {
+    return Object.prototype.hasOwnProperty.call(gameModes, id) ? id : DEFAULT_GAME_MODE;
+}
+
+// Players from first to last place under the lobby's mode
+function rankPlayers(lobby) {
+    const mode = getGameMode(lobby.settings.gameMode);
+    return mode.rank ? mode.rank(lobby) : rankByScore(lobby.players);
+}
+
+// Mode summary for lobby listings and the lobby screen
+function describeGameMode(settings) {
+    const mode = getGameMode(settings.gameMode);
+    return { id: sanitizeGameMode(settings.gameMode), name: mode.name, summary: mode.describe(settings), tieBreak: mode.tieBreak };
+}
+
+module.exports = {
+    DEFAULT_GAME_MODE,
+    getGameMode,
+    listGameModes,
+    sanitizeGameMode,
+    rankPlayers,
+    describeGameMode
+};
@@ -0,0 +1,228 @@
+// House rules are optional modifiers a host can switch on per lobby (lobby.settings.houseRules holds their ids).
+// Game modes can switch rules on as well, see lib/gameModes.js.
+// Each rule hooks into the round lifecycle. The server calls the hooks with a context object that exposes
+// the lobby plus the game actions a rule is allowed to take:
+//
+//   onGameStart(ctx)           after decks are built, before hands are dealt
+//   chooseCzar(ctx)            after the normal czar rotation, may override lobby.czarId
+//   onRoundStart(ctx)          after the black card is drawn and hands refilled, before hands are sent
+//   afterRoundStart(ctx)       once the new round has been broadcast
+//   onJudgingStart(ctx)        when the lobby switches to 'judging'
+//   onJudgeTimeout(ctx)        when the judging timer runs out, return true if the rule resolved the round
+//   onPlayerGone(ctx)          after a player disconnected or left while a game is on
+//   actions[name](ctx, player, data)  player-triggered actions, return an error message to reject
+//
+// ctx: { lobby, lobbyCode, dealWhiteCards(player, count), sendHand(player), message(text),
+//        submitCards(player, cardIds), awardRound(submission), voidRound(reason) }
+//
+// Messages and reasons are message objects from lib/messages.js, plain text works too but isn't translated.
+
+const { getGameMode } = require('./gameModes');
+const { serverMessage } = require('./messages');
+
+const RANDO_ID = 'rando-cardrissian';
+const RANDO_NAME = 'Rando Cardrissian';
+
+// Official rule: a black card may say how many extra cards to draw. Cards without a draw value
+// follow the printed "Draw 2, Pick 3" convention.
+function extraDrawsFor(blackCard) {
+    if (!blackCard) return 0;
+    if (typeof blackCard.draw === 'number') return Math.max(0, blackCard.draw);
+    return blackCard.pick >= 3 ? blackCard.pick - 1 : 0;
+}
+
+function playersWhoPlay(lobby) {
+    return lobby.players.filter(p => p.id !== lobby.czarId);
+}
+
+function dealToPlayers(ctx, count) {
+    if (count <= 0) return;
+    playersWhoPlay(ctx.lobby).forEach(player => ctx.dealWhiteCards(player, count));
+}
+
+// Players who get a say in God is Dead: every connected human.
+function eligibleVoters(lobby) {
+    return lobby.players.filter(p => !p.isBot && p.connected);
+}
+
+function tallyVotes(ctx) {
+    const { lobby } = ctx;
+    const votes = Object.values(lobby.roundVotes || {});
+    const counts = {};
+    lobby.roundSubmissions.forEach(sub => {
+        counts[sub.submissionId] = votes.filter(id => id === sub.submissionId).length;
+    });
+    const topCount = Math.max(0, ...Object.values(counts));
+    if (topCount === 0) return false;
+
+    // Ties are broken at random among the most-voted submissions.
+    const leaders = lobby.roundSubmissions.filter(sub => counts[sub.submissionId] === topCount);
+    const winner = leaders[Math.floor(Math.random() * leaders.length)];
+    if (leaders.length > 1) ctx.message(serverMessage('voteTie', { count: topCount }));
+    ctx.awardRound(winner);
+    return true;
+}
+
+// The round is decided as soon as every voter still here has voted. With nobody here it waits for them to
+// come back or for the judging timer, a single vote mustn't decide the round for a lobby that dropped out.
+function tallyIfEveryoneVoted(ctx) {
+    const { lobby } = ctx;
+    if (lobby.gameState !== 'judging') return;
+    const voters = eligibleVoters(lobby);
+    if (voters.length > 0 && voters.every(voter => lobby.roundVotes?.[voter.id])) tallyVotes(ctx);
+}
+
+const houseRules = {
+    drawExtra: {
+        name: 'Draw N',
+        description: "Before a pick-2 or pick-3 black card, players draw the extra cards it calls for.",
+        onRoundStart(ctx) {
+            dealToPlayers(ctx, extraDrawsFor(ctx.lobby.currentBlackCard));
+        }
+    },
+
+    packingHeat: {
+        name: 'Packing Heat',
+        description: "For pick-2 black cards, everyone draws an extra card before playing.",
+        onRoundStart(ctx) {
+            if (ctx.lobby.currentBlackCard?.pick === 2) dealToPlayers(ctx, 1);
+        }
+    },
+
+    rando: {
+        name: RANDO_NAME,
+        description: "An imaginary player plays random cards every round. If he wins, you all go home in a state of everlasting shame.",
+        onGameStart(ctx) {
+            const { lobby } = ctx;
+            if (!lobby.players.some(p => p.id === RANDO_ID)) {
+                lobby.players.push({
+                    id: RANDO_ID,
+                    name: RANDO_NAME,
+                    score: 0,
+                    hand: [],
+                    submittedCards: null,
+                    sessionToken: null,
+                    connected: true,
+                    isBot: true,
+                    canJudge: false
+                });
+            }
+        },
+        afterRoundStart(ctx) {
+            const rando = ctx.lobby.players.find(p => p.id === RANDO_ID);
+            if (!rando || rando.id === ctx.lobby.czarId) return;
+            const hand = [...rando.hand];
+            const pick = ctx.lobby.currentBlackCard.pick || 1;
+            const cardIds = [];
+            while (cardIds.length < pick && hand.length > 0) {
+                cardIds.push(hand.splice(Math.floor(Math.random() * hand.length), 1)[0].id);
+            }
+            ctx.submitCards(rando, cardIds);
+        }
+    },
+
+    rebootingTheUniverse: {
+        name: 'Rebooting the Universe',
+        description: "At any time during play, trade in a point to discard your hand and draw a new one.",
+        actions: {
+            reboot(ctx, player) {
+                const { lobby } = ctx;
+                if (lobby.gameState !== 'playing' || player.submittedCards) return serverMessage('rebootBeforePlaying');
+                if (player.score < 1) return serverMessage('rebootNeedsPoint');
+                const handSize = player.hand.length;
+                player.score--;
+                lobby.whiteDiscard.push(...player.hand);
+                player.hand = [];
+                ctx.dealWhiteCards(player, handSize);
+                ctx.sendHand(player);
+                ctx.message(serverMessage('universeRebooted', { name: player.name }));
+            }
+        }
+    },
+
+    godIsDead: {
+        name: 'God is Dead',
+        description: "There is no Card Czar. Everyone plays, then everyone votes for their favorite. Ties are broken at random.",
+        chooseCzar(ctx) {
+            ctx.lobby.czarId = null;
+        },
+        onJudgingStart(ctx) {
+            ctx.lobby.roundVotes = {};
+        },
+        onJudgeTimeout(ctx) {
+            return tallyVotes(ctx);
+        },
+        // Without a judging time limit, the votes would otherwise never be counted when the last voter drops out
+        onPlayerGone(ctx) {
+            const { lobby } = ctx;
+            // Votes of a player who left don't count, and those for their cards have to be cast again
+            Object.entries(lobby.roundVotes || {}).forEach(([voterId, submissionId]) => {
+                if (!lobby.players.some(p => p.id === voterId) || !lobby.roundSubmissions.some(sub => sub.submissionId === submissionId)) {
+                    delete lobby.roundVotes[voterId];
+                }
+            });
+            tallyIfEveryoneVoted(ctx);
+        },
+        actions: {
+            vote(ctx, player, data) {
+                const { lobby } = ctx;
+                if (lobby.gameState !== 'judging') return serverMessage('votingOnlyWhileJudging');
+                if (player.isBot) return serverMessage('botsDoNotVote');
+                const submission = lobby.roundSubmissions.find(sub => sub.submissionId === data?.submissionId);
+                if (!submission) return serverMessage('submissionNotFound');
+                if (submission.playerId === player.id && lobby.roundSubmissions.length > 1) return serverMessage('cantVoteForOwnCards');
+
+                lobby.roundVotes = lobby.roundVotes || {};
+                lobby.roundVotes[player.id] = submission.submissionId;
+                tallyIfEveryoneVoted(ctx);
+            }
+        }
+    }
+};
+
+function listHouseRules() {
+    return Object.entries(houseRules).map(([id, rule]) => ({
+        id,
+        name: rule.name,
+        description: rule.description,
+        actions: Object.keys(rule.actions || {})
+    }));
+}
+
+function sanitizeHouseRules(ruleIds) {
+    if (!Array.isArray(ruleIds)) return [];
+    return [...new Set(ruleIds)].filter(id => Object.prototype.hasOwnProperty.call(houseRules, id));
+}
+
+// The rules the host picked plus those the game mode switches on
+function getActiveHouseRules(lobby) {
+    const modeRules = getGameMode(lobby.settings.gameMode).houseRules || [];
+    return [...new Set([...(lobby.settings.houseRules || []), ...modeRules])];
+}
+
+// Runs a lifecycle hook for every rule enabled in the lobby. Returns true if any hook reported it handled the event.
+function runHouseRuleHook(ctx, hookName) {
+    let handled = false;
+    for (const ruleId of getActiveHouseRules(ctx.lobby)) {
+        const hook = houseRules[ruleId]?.[hookName];
+        if (typeof hook === 'function' && hook(ctx)) handled = true;
+    }
+    return handled;
+}
+
+function runHouseRuleAction(ctx, player, ruleId, action, data) {
+    if (!getActiveHouseRules(ctx.lobby).includes(ruleId)) return serverMessage('houseRuleNotEnabled');
+    const handler = houseRules[ruleId]?.actions?.[action];
+    if (typeof handler !== 'function') return serverMessage('unknownHouseRuleAction');
+    return handler(ctx, player, data);
+}
+
+module.exports = {
+    RANDO_ID,
+    extraDrawsFor,
+    listHouseRules,
+    sanitizeHouseRules,
+    getActiveHouseRules,
+    runHouseRuleHook,
+    runHouseRuleAction
+};
@@ -0,0 +1,119 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+// A lobby store snapshots lobby state so games survive a server restart.
+// Every backend implements the same async interface:
+//   loadAll()           -> { [lobbyCode]: lobby }
+//   save(code, lobby)   -> persists a snapshot of the lobby
+//   remove(code)        -> forgets the lobby
+// Lobby objects are plain data (no timers or sockets), so they serialize as JSON.
+
+const log = logger.child({ component: 'lobbyStore' });
+
+class MemoryLobbyStore {
+    constructor() {
+        this.snapshots = new Map();
+    }
+
+    async loadAll() {
+        const lobbies = {};
+        for (const [code, snapshot] of this.snapshots) {
+            lobbies[code] = JSON.parse(snapshot);
+        }
+        return lobbies;
+    }
+
+    async save(code, lobby) {
+        this.snapshots.set(code, JSON.stringify(lobby));
+    }
+
+    async remove(code) {
+        this.snapshots.delete(code);
+    }
+}
+
+class JsonFileLobbyStore {
+    constructor(directory) {
+        this.directory = directory;
+        this.pendingWrites = new Map(); // lobbyCode -> promise of the last queued write
+    }
+
+    _fileFor(code) {
+        return path.join(this.directory, `${code}.json`);
+    }
+
+    // Writes for the same lobby are chained so an older snapshot can never land after a newer one.
+    _enqueue(code, task) {
+        const previous = this.pendingWrites.get(code) || Promise.resolve();
+        const next = previous.then(task, task);
+        this.pendingWrites.set(code, next);
+        next.finally(() => {
+            if (this.pendingWrites.get(code) === next) this.pendingWrites.delete(code);
+        }).catch(() => {});
+        return next;
+    }
+
+    async loadAll() {
+        await fs.mkdir(this.directory, { recursive: true });
+        const lobbies = {};
+        const files = await fs.readdir(this.directory);
+        for (const file of files) {
+            if (path.extname(file) !== '.json') continue;
+            const filePath = path.join(this.directory, file);
+            try {
+                const lobby = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+                if (lobby && typeof lobby.code === 'string') {
+                    lobbies[lobby.code] = lobby;
+                } else {
+                    log.warn('Ignoring lobby snapshot without a code', { file: filePath });
+                }
+            } catch (err) {
+                log.warn('Ignoring unreadable lobby snapshot', { file: filePath, error: err.message });
+            }
+        }
+        return lobbies;
+    }
+
+    save(code, lobby) {
+        // Serialize now, not when the write runs, so later mutations don't leak into this snapshot.
+        const data = JSON.stringify(lobby);
+        return this._enqueue(code, async () => {
+            await fs.mkdir(this.directory, { recursive: true });
+            const target = this._fileFor(code);
+            const tmp = `${target}.tmp`;
+            await fs.writeFile(tmp, data);
+            await fs.rename(tmp, target);
+        });
+    }
+
+    remove(code) {
+        return this._enqueue(code, async () => {
+            try {
+                await fs.unlink(this._fileFor(code));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        });
+    }
+}
+
+const storeTypes = {
+    memory: () => new MemoryLobbyStore(),
+    json: (options, baseDir) => new JsonFileLobbyStore(path.resolve(baseDir, options.path || 'data/lobbies'))
+};
+
+function createLobbyStore(options = {}, baseDir = process.cwd()) {
+    const type = options.type || 'json';
+    const factory = storeTypes[type];
+    if (!factory) {
+        throw Error(`Unknown storage type '${type}'. Available types: ${Object.keys(storeTypes).join(', ')}`);
+    }
+    return factory(options, baseDir);
+}
+
+module.exports = {
+    MemoryLobbyStore,
+    JsonFileLobbyStore,
+    createLobbyStore
+};
@@ -0,0 +1,68 @@
+// Structured logging. Every entry is one line of JSON:
+//
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"Lobby created","lobbyCode":"AB12C","playerName":"Ann"}
+//
+// msg is a fixed description of what happened, the details go into fields so logs can be searched and
+// aggregated by them. child(context) returns a logger that adds its context to every entry, the server keeps
+// one per lobby and per socket. Errors passed as a field are written with their message and stack.
+// Entries below the configured level (config.json logging.level) are dropped, warn and error go to stderr.
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const settings = {
+    level: 'info',
+    write: (level, line) => (LEVELS.indexOf(level) >= LEVELS.indexOf('warn') ? process.stderr : process.stdout).write(`${line}\n`)
+};
+
+// level: one of LEVELS. write(level, line) replaces the output, for tests.
+function configureLogger({ level, write } = {}) {
+    if (LEVELS.includes(level)) settings.level = level;
+    if (write) settings.write = write;
+}
+
+function serializeValue(value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+    }
+    return value;
+}
+
+class Logger {
+    constructor(context = {}) {
+        this.context = context;
+    }
+
+    child(context) {
+        return new Logger({ ...this.context, ...context });
+    }
+
+    log(level, msg, fields = {}) {
+        if (LEVELS.indexOf(level) < LEVELS.indexOf(settings.level)) return;
+        const entry = { time: new Date().toISOString(), level, msg, ...this.context };
+        for (const key in fields) {
+            if (fields[key] !== undefined) entry[key] = serializeValue(fields[key]);
+        }
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (err) {
+            // Circular fields, keep the message rather than lose the entry
+            line = JSON.stringify({ time: entry.time, level, msg, ...this.context, logError: err.message });
+        }
+        settings.write(level, line);
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+}
+
+const logger = new Logger();
+
+module.exports = {
+    LOG_LEVELS: LEVELS,
+    Logger,
+    logger,
+    configureLogger
+};
@@ -0,0 +1,173 @@
+// Everything the server tells players goes out as a message code with parameters, so the client can show it in
+// the player's language (public/locales). A message is { code, params, message } where message is the English
+// text, for clients and logs that don't translate. Templates name their parameters in braces: {name}.
+// A parameter may itself be a message, e.g. the reason a round was voided.
+//
+// Anything that produces text for players (engine, house rules, validation, chat filter) returns a message.
+// Plain text is wrapped by toMessage with a null code and shown as is.
+
+const messages = {
+    // Lobbies
+    lobbyNotFound: 'Lobby not found.',
+    lobbyFull: 'Lobby is full.',
+    lobbyLocked: 'This lobby is locked.',
+    bannedFromLobby: 'You have been banned from this lobby.',
+    clientIdMissing: "Your browser didn't identify itself. Reload the page and try again.",
+    gameAlreadyOver: 'This game is already over.',
+    alreadyInLobby: 'You are already in a lobby. Leave it first.',
+    nameTaken: 'Player name already taken in this lobby.',
+    nameClaimed: 'That name belongs to a registered player. Log in with its secret to use it.',
+    seatGone: 'Your seat in this lobby is no longer available.',
+    tooManyPlayersForLimit: 'There are already {count} players in the lobby.',
+    hostOnly: 'Only the host can do that.',
+    playerNotInLobby: 'That player is not in the lobby.',
+    hostTransferInvalid: 'The host role can only go to another player.',
+    kicked: 'You have been kicked from the lobby by the host.',
+    banned: 'You have been banned from the lobby by the host.',
+    lobbyEmpty: 'Every player has left, the lobby was closed.',
+    serverFull: 'The server has too many lobbies right now. Please try again later.',
+    serverError: 'Something went wrong on the server. Please try again.',
+    rateLimited: 'You are doing that too often. Please slow down.',
+
+    // Bots and card packs
+    botsHostOnly: 'Only the host can add bots.',
+    botsBeforeStart: 'Bots can only be added before the game starts.',
+    unknownBotStrategy: 'Unknown bot strategy.',
+    packsHostOnly: 'Only the host can add card packs.',
+    packsBeforeStart: 'Card packs can only be changed before the game starts.',
+    tooManyCustomPacks: 'A lobby can have at most {max} custom packs.',
+    packNotFound: 'Pack not found.',
+    unknownPreset: 'Unknown preset.',
+    searchLength: 'Search for 2 to {max} characters.',
+    packInvalidJson: 'That file is not valid JSON: {error}',
+    packUnknownFormat: "Unknown pack format '{format}'. Use compact, full or editor.",
+    packNoValidCards: 'No valid cards found. Check that the pack matches the JSON Against Humanity compact or full format.',
+    packTooManyCards: "Pack '{name}' has more than {max} cards.",
+    packCardTooLong: "Pack '{name}' has a card longer than {max} characters.",
+    notEnoughWhiteCards: 'The selected packs have {count} white cards, but {players} players need {needed} to fill their hands.',
+
+    // Playing
+    needPlayers: 'Need at least {count} players to start.',
+    needCards: 'The selected packs need at least one white and one black card.',
+    skipOnlyWhilePlaying: 'The black card can only be skipped while cards are being played.',
+    wrongCardCount: 'Invalid submission. This card requires {count} card(s).',
+    invalidCard: 'Invalid card submitted.',
+    noGameToEnd: 'There is no game to end.',
+    voteRemoveOnlyInGame: 'Cards can only be voted out during a game.',
+    cardNotInPlay: 'That card is not in play.',
+
+    // House rules
+    rebootBeforePlaying: 'You can only reboot your hand before you play this round.',
+    rebootNeedsPoint: 'You need at least 1 point to reboot your hand.',
+    votingOnlyWhileJudging: 'Voting only happens while judging.',
+    botsDoNotVote: 'Bots do not vote.',
+    submissionNotFound: 'That submission does not exist.',
+    cantVoteForOwnCards: "You can't vote for your own cards.",
+    houseRuleNotEnabled: 'That house rule is not enabled in this lobby.',
+    unknownHouseRuleAction: 'Unknown house rule action.',
+
+    // Chat and profiles
+    chatWordNotAllowed: 'Your message contains a word that is not allowed here.',
+    profileSecretMismatch: 'That name is already claimed and the secret does not match.',
+    profileJustClaimed: 'That name was just claimed by someone else.',
+    profileNotFound: 'No player has claimed that name.',
+
+    // Game records
+    gameLoadFailed: 'Could not load this game right now. Please try again.',
+    gameNotFound: 'Game not found. Games are kept for {hours} hours after they end.',
+
+    // Validation, field is the label of the setting or field
+    invalidRequest: 'Invalid request.',
+    fieldRequired: '{field} is required.',
+    fieldNotText: '{field} must be text.',
+    fieldTooShort: '{field} must be at least {min} characters.',
+    fieldTooLong: '{field} can be at most {max} characters.',
+    fieldInvalid: '{field} is not valid.',
+    fieldNotOneOf: '{field} must be one of: {options}.',
+    fieldNotWholeNumber: '{field} must be a whole number.',
+    fieldOutOfRange: '{field} must be between {min} and {max}.',
+    fieldNotBoolean: '{field} must be true or false.',
+    fieldNotList: '{field} must be a list.',
+    fieldTooManyItems: '{field} can have at most {max} entries.',
+    fieldNotObject: '{field} must be an object.',
+    invalidLobbyCode: 'That is not a valid lobby code.',
+    invalidNameCharacters: "Names can't contain <, > or control characters.",
+    invalidLanguage: 'That is not a valid language.',
+
+    // Lobby chat
+    playerJoined: '{name} joined the lobby.',
+    spectatorJoinsNextRound: '{name} joined and will be dealt in next round.',
+    spectatorWatching: '{name} is now watching.',
+    spectatorSeated: '{name} joined the game.',
+    playerLeft: '{name} left the lobby.',
+    spectatorLeft: '{name} stopped watching.',
+    playerKicked: '{name} was kicked by the host.',
+    playerBanned: '{name} was banned by the host.',
+    newHost: '{name} is now the host.',
+    czarLeft: '{name} was the Card Czar, starting a new round.',
+    blackCardSkipped: 'The host skipped the black card.',
+    timeUpJudging: "Time's up! Judging the cards that were played.",
+    czarTimedOut: 'The Card Czar ran out of time, a random winner was picked.',
+    roundWon: '{name} won the round with "{cards}".',
+    roundVoided: '{reason} No point awarded this round.',
+    voteRemoveCard: '{name} voted to never show "{card}" again.',
+    cardVotedOut: '"{card}" was voted out and won\'t be shown again.',
+    voteTie: "It's a tie with {count} vote(s) each, picking one of them at random.",
+    universeRebooted: '{name} traded a point to reboot the universe.',
+    suddenDeath: '{names} are tied for the lead, sudden death!',
+    lobbyLockedByHost: 'The host locked the lobby.',
+    lobbyUnlockedByHost: 'The host unlocked the lobby.',
+
+    // Game mode summaries
+    modeScore: 'first to {points} points',
+    modeRounds: '{rounds} rounds',
+    modeTimed: '{minutes} minutes',
+    modeEndless: 'endless',
+    modeEndlessStandings: 'last {rounds} rounds',
+    modeCzarless: 'czar-less, first to {points} points',
+
+    // Why a round was voided
+    nobodyPlayed: 'Nobody played a card in time.',
+    czarRanOutOfTime: 'The Card Czar ran out of time.',
+    onlySubmissionLeft: '{name} left and took the only submission with them.',
+
+    // Why a game ended
+    noBlackCards: 'No more black cards!',
+    notEnoughPlayers: 'Not enough players to continue.',
+    nobodyScored: 'Nobody scored a point.',
+    hostEndedGame: 'The host ended the game.'
+};
+
+function formatMessage(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+        const value = params[key];
+        if (value === undefined || value === null) return match;
+        return typeof value === 'object' ? value.message : String(value);
+    });
+}
+
+// Builds the message for a code. Unknown codes are a bug, the code itself is used as the text so it still shows up.
+function serverMessage(code, params = {}) {
+    const template = Object.prototype.hasOwnProperty.call(messages, code) ? messages[code] : code;
+    return { code, params, message: formatMessage(template, params) };
+}
+
+// Takes a message or plain text, returns a message (null stays null).
+function toMessage(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object' && typeof value.message === 'string') {
+        return { code: value.code || null, params: value.params || {}, message: value.message };
+    }
+    return { code: null, params: {}, message: String(value) };
+}
+
+function isMessageCode(code) {
+    return Object.prototype.hasOwnProperty.call(messages, code);
+}
+
+module.exports = {
+    formatMessage,
+    serverMessage,
+    toMessage,
+    isMessageCode
+};
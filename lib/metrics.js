@@ -0,0 +1,180 @@
+// Server metrics for Prometheus, served at /metrics in the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/).
+//
+// A registry holds counters, gauges and histograms, each with a fixed set of label names. snapshot() turns the
+// registry into plain data, so with several server processes every worker sends its snapshot and mergeSnapshots
+// adds them up before renderMetrics writes the text. Gauges that describe the current state (sockets, lobbies)
+// are set right before a snapshot is taken.
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.samples = new Map(); // labelKey -> sample
+    }
+
+    sample(labels) {
+        const key = labelKey(this.labelNames, labels);
+        if (!this.samples.has(key)) {
+            const sampleLabels = Object.fromEntries(this.labelNames.map(name => [name, String(labels[name] ?? '')]));
+            this.samples.set(key, this.emptySample(sampleLabels));
+        }
+        return this.samples.get(key);
+    }
+
+    emptySample(labels) {
+        return { labels, value: 0 };
+    }
+
+    reset() {
+        this.samples.clear();
+    }
+
+    snapshot() {
+        return { type: this.type, name: this.name, help: this.help, samples: [...this.samples.values()].map(s => ({ ...s })) };
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.sample(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.sample(labels).value = value;
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.sample(labels).value += amount;
+    }
+}
+
+class Histogram extends Metric {
+    // buckets: upper bounds in ascending order, +Inf is added when rendering
+    constructor(name, help, buckets, labelNames) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    emptySample(labels) {
+        return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(value, labels = {}) {
+        const sample = this.sample(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) sample.counts[i]++;
+        });
+        sample.sum += value;
+        sample.count++;
+    }
+
+    snapshot() {
+        return { ...super.snapshot(), buckets: this.buckets, samples: [...this.samples.values()].map(s => ({ ...s, counts: [...s.counts] })) };
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    add(metric) {
+        this.metrics.push(metric);
+        if (metric.labelNames.length === 0) metric.sample({}); // Shows up as 0 before anything happened
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.add(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.add(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, buckets, labelNames) {
+        return this.add(new Histogram(name, help, buckets, labelNames));
+    }
+
+    snapshot() {
+        return this.metrics.map(metric => metric.snapshot());
+    }
+}
+
+// Adds up the snapshots of several registries with the same metrics, e.g. one per worker
+function mergeSnapshots(snapshots) {
+    const merged = new Map();
+    snapshots.flat().forEach(metric => {
+        if (!merged.has(metric.name)) {
+            merged.set(metric.name, { ...metric, samples: new Map() });
+        }
+        const target = merged.get(metric.name);
+        metric.samples.forEach(sample => {
+            const key = JSON.stringify(sample.labels);
+            const existing = target.samples.get(key);
+            if (!existing) {
+                target.samples.set(key, { ...sample, ...(sample.counts && { counts: [...sample.counts] }) });
+            } else if (sample.counts) {
+                sample.counts.forEach((count, i) => existing.counts[i] += count);
+                existing.sum += sample.sum;
+                existing.count += sample.count;
+            } else {
+                existing.value += sample.value;
+            }
+        });
+    });
+    return [...merged.values()].map(metric => ({ ...metric, samples: [...metric.samples.values()] }));
+}
+
+function escapeLabelValue(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels, extra = {}) {
+    const pairs = Object.entries({ ...labels, ...extra }).map(([name, value]) => `${name}="${escapeLabelValue(String(value))}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function renderMetrics(snapshot) {
+    const lines = [];
+    snapshot.forEach(metric => {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        metric.samples.forEach(sample => {
+            if (metric.type !== 'histogram') {
+                lines.push(`${metric.name}${formatLabels(sample.labels)} ${sample.value}`);
+                return;
+            }
+            metric.buckets.forEach((bound, i) => {
+                lines.push(`${metric.name}_bucket${formatLabels(sample.labels, { le: bound })} ${sample.counts[i]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels(sample.labels, { le: '+Inf' })} ${sample.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(sample.labels)} ${sample.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    MetricsRegistry,
+    mergeSnapshots,
+    renderMetrics
+};
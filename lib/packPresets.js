@@ -0,0 +1,46 @@
+// Ready-made pack selections for the lobby settings, so hosts don't have to tick dozens of boxes by hand.
+// A preset picks packs from CAHDeck#listPacks():
+//
+//   includes(pack)    returns true for every pack the preset selects
+
+const packPresets = {
+    official: {
+        name: 'All official',
+        description: 'Every pack published by Cards Against Humanity.',
+        includes: pack => pack.official === true
+    },
+    baseAndExpansions: {
+        name: 'Base + expansions',
+        description: 'The base set with the numbered and box expansions, no themed packs.',
+        includes: pack => /\bbase set\b|\bexpansion\b/i.test(pack.name)
+    },
+    all: {
+        name: 'Everything',
+        description: 'Every pack on this server.',
+        includes: () => true
+    }
+};
+
+function listPackPresets() {
+    return Object.entries(packPresets).map(([id, preset]) => ({
+        id,
+        name: preset.name,
+        description: preset.description
+    }));
+}
+
+// The ids of the packs a preset selects from the deck, or null for an unknown preset. With exclude set, packs
+// with a card that matches it (see CAHDeck#searchCards) are left out, e.g. to skip every pack mentioning a topic.
+function resolvePackPreset(deck, presetId, { exclude } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(packPresets, presetId)) return null;
+    const preset = packPresets[presetId];
+    const excluded = new Set(exclude ? deck.searchCards(exclude).map(result => result.id) : []);
+    return deck.listPacks()
+        .filter(pack => pack.counts.total > 0 && preset.includes(pack) && !excluded.has(pack.id))
+        .map(pack => pack.id);
+}
+
+module.exports = {
+    listPackPresets,
+    resolvePackPreset
+};
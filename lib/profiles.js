@@ -0,0 +1,190 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { serverMessage } = require('./messages');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'profiles' });
+const scrypt = promisify(crypto.scrypt);
+
+// Lightweight player accounts: a claimed name plus a secret, no e-mail or outside auth. Claiming a free name
+// creates the profile, claiming it again with the same secret logs in. Either way the player gets a login
+// token, which the browser keeps and sends in the socket handshake (auth.profileToken).
+//
+// Profiles are kept in memory and, with a file path, written to a single JSON file a moment after they change.
+// With persist off the file is only read, for server processes that leave writing it to another one.
+
+const MAX_TOKENS_PER_PROFILE = 10; // Oldest logins are dropped first
+const MAX_TRACKED_CARDS = 100; // Distinct winning cards remembered per profile
+const FAVORITE_CARDS_SHOWN = 5;
+const SAVE_DELAY_MS = 1000;
+const LEADERBOARD_SORTS = ['gamesWon', 'roundsWon', 'gamesPlayed'];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function hashSecret(secret, salt) {
+    return (await scrypt(secret, salt, 32)).toString('hex');
+}
+
+// winningCards is keyed by card text, so it must not inherit anything: a card called "constructor" or
+// "__proto__" is just another key.
+function toCardCounts(entries) {
+    return Object.assign(Object.create(null), Object.fromEntries(entries));
+}
+
+// Profiles read from the file or sent by another server process are plain objects
+function restoreProfile(profile) {
+    profile.winningCards = toCardCounts(Object.entries(profile.winningCards || {}));
+    return profile;
+}
+
+class ProfileStore {
+    constructor(filePath = null, { persist = true } = {}) {
+        this.filePath = filePath;
+        this.persist = persist;
+        this.profiles = new Map(); // id -> profile
+        this.saveTimer = null;
+    }
+
+    async load() {
+        if (!this.filePath) return;
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+        (data.profiles || []).forEach(profile => this.profiles.set(profile.id, restoreProfile(profile)));
+    }
+
+    _scheduleSave() {
+        if (!this.filePath || !this.persist || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._save().catch(err => log.error('Failed to save player profiles', { err }));
+        }, SAVE_DELAY_MS);
+    }
+
+    async _save() {
+        const data = JSON.stringify({ profiles: [...this.profiles.values()] });
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmp = `${this.filePath}.tmp`;
+        await fs.writeFile(tmp, data);
+        await fs.rename(tmp, this.filePath);
+    }
+
+    findByName(name) {
+        const key = name.toLowerCase();
+        return [...this.profiles.values()].find(profile => profile.name.toLowerCase() === key) || null;
+    }
+
+    getById(id) {
+        return (id && this.profiles.get(id)) || null;
+    }
+
+    getByToken(token) {
+        if (typeof token !== 'string' || !token) return null;
+        const hashed = hashToken(token);
+        return [...this.profiles.values()].find(profile => profile.tokens.includes(hashed)) || null;
+    }
+
+    // Returns { profile, token } or { error } with a message for the player.
+    async claim(name, secret) {
+        let profile = this.findByName(name);
+        if (profile) {
+            if (await hashSecret(secret, profile.salt) !== profile.secretHash) {
+                return { error: serverMessage('profileSecretMismatch') };
+            }
+        } else {
+            const salt = crypto.randomBytes(16).toString('hex');
+            profile = {
+                id: crypto.randomBytes(8).toString('hex'),
+                name,
+                salt,
+                secretHash: await hashSecret(secret, salt),
+                tokens: [],
+                createdAt: Date.now(),
+                gamesPlayed: 0,
+                gamesWon: 0,
+                roundsWon: 0,
+                winningCards: toCardCounts([]) // card text -> times it won a round
+            };
+            // Someone may have claimed the name while we were hashing
+            if (this.findByName(name)) return { error: serverMessage('profileJustClaimed') };
+            this.profiles.set(profile.id, profile);
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        profile.tokens = [...profile.tokens, hashToken(token)].slice(-MAX_TOKENS_PER_PROFILE);
+        this._scheduleSave();
+        return { profile, token };
+    }
+
+    // Adds or replaces a whole profile, as changed by another server process
+    put(profile) {
+        this.profiles.set(profile.id, restoreProfile(profile));
+        this._scheduleSave();
+    }
+
+    logout(profile, token) {
+        profile.tokens = profile.tokens.filter(hashed => hashed !== hashToken(token));
+        this._scheduleSave();
+    }
+
+    recordRoundWin(profileId, cardTexts) {
+        const profile = this.getById(profileId);
+        if (!profile) return;
+        profile.roundsWon++;
+        cardTexts.forEach(text => {
+            profile.winningCards[text] = (profile.winningCards[text] || 0) + 1;
+        });
+        const tracked = Object.entries(profile.winningCards);
+        if (tracked.length > MAX_TRACKED_CARDS) {
+            profile.winningCards = toCardCounts(tracked.sort((a, b) => b[1] - a[1]).slice(0, MAX_TRACKED_CARDS));
+        }
+        this._scheduleSave();
+    }
+
+    recordGame(profileIds, winnerProfileId) {
+        new Set(profileIds).forEach(profileId => {
+            const profile = this.getById(profileId);
+            if (!profile) return;
+            profile.gamesPlayed++;
+            if (profileId === winnerProfileId) profile.gamesWon++;
+        });
+        this._scheduleSave();
+    }
+
+    // What anyone may see about a profile
+    toPublic(profile) {
+        return {
+            name: profile.name,
+            createdAt: profile.createdAt,
+            gamesPlayed: profile.gamesPlayed,
+            gamesWon: profile.gamesWon,
+            roundsWon: profile.roundsWon,
+            favoriteCards: Object.entries(profile.winningCards)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, FAVORITE_CARDS_SHOWN)
+                .map(([text, wins]) => ({ text, wins }))
+        };
+    }
+
+    leaderboard(sort = 'gamesWon', limit = 20) {
+        const key = LEADERBOARD_SORTS.includes(sort) ? sort : 'gamesWon';
+        return [...this.profiles.values()]
+            .filter(profile => profile.gamesPlayed > 0)
+            .sort((a, b) => b[key] - a[key] || b.roundsWon - a.roundsWon || a.name.localeCompare(b.name))
+            .slice(0, limit)
+            .map(profile => this.toPublic(profile));
+    }
+}
+
+module.exports = {
+    ProfileStore,
+    LEADERBOARD_SORTS
+};
@@ -0,0 +1,49 @@
+// Token buckets: a bucket holds up to `capacity` tokens and regains `perSecond` of them every second.
+// Each event costs one token, so `capacity` is the allowed burst and `perSecond` the sustained rate.
+
+class TokenBucket {
+    constructor({ capacity, perSecond }) {
+        this.capacity = capacity;
+        this.perSecond = perSecond;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.perSecond);
+        this.updatedAt = now;
+    }
+
+    hasToken() {
+        this._refill();
+        return this.tokens >= 1;
+    }
+
+    take() {
+        this.tokens--;
+    }
+}
+
+// One limiter per socket. Every event spends from the 'default' bucket and, if it names one, from its own
+// group's bucket as well. Nothing is spent unless all buckets involved have a token left.
+function createRateLimiter(limits) {
+    const buckets = {};
+    const bucketFor = group => {
+        if (!buckets[group]) buckets[group] = new TokenBucket(limits[group]);
+        return buckets[group];
+    };
+
+    return function allow(group) {
+        const involved = [bucketFor('default')];
+        if (group && group !== 'default' && limits[group]) involved.push(bucketFor(group));
+        if (!involved.every(bucket => bucket.hasToken())) return false;
+        involved.forEach(bucket => bucket.take());
+        return true;
+    };
+}
+
+module.exports = {
+    TokenBucket,
+    createRateLimiter
+};
@@ -0,0 +1,220 @@
+// Payload checks for socket events. A schema maps field names to rules:
+//
+//   { type: 'string', trim, uppercase, minLength, maxLength, pattern, patternMessage, oneOf }  (patternMessage is a message code)
+//   { type: 'integer', min, max }
+//   { type: 'boolean' }
+//   { type: 'array', maxItems, unique, items: <rule> }
+//   { type: 'object', fields: <schema> }
+//   { type: 'any' }
+//
+// Every rule may also set `required` and a `label` used in error messages. validatePayload returns
+// { value } holding only the fields the schema knows about, or { error } with a message for the player
+// (see lib/messages.js).
+
+const { MAX_BLOCKED_CARDS, MAX_BLOCKED_WORDS } = require('./cardFilter');
+const { DEFAULT_MIN_PLAYERS } = require('./game');
+const { serverMessage } = require('./messages');
+
+const MAX_PLAYER_NAME_LENGTH = 24;
+const MAX_SELECTED_PACKS = 1000;
+const MAX_ID_LENGTH = 100;
+const MAX_CHAT_MESSAGE_LENGTH = 300;
+const MAX_CARD_TEXT_LENGTH = 500;
+
+// Errors name the field by its label, plus its key as fieldId so the client can translate the label as well
+function fieldError(code, label, fieldId, params = {}) {
+    return { error: serverMessage(code, { field: label, fieldId, ...params }) };
+}
+
+function validateValue(rule, input, label, fieldId) {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof input !== 'string') return fieldError('fieldNotText', label, fieldId);
+            let value = rule.trim === false ? input : input.trim();
+            if (rule.uppercase) value = value.toUpperCase();
+            if (value.length < (rule.minLength ?? 0)) {
+                return value.length === 0
+                    ? fieldError('fieldRequired', label, fieldId)
+                    : fieldError('fieldTooShort', label, fieldId, { min: rule.minLength });
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fieldError('fieldTooLong', label, fieldId, { max: rule.maxLength });
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return rule.patternMessage ? { error: serverMessage(rule.patternMessage) } : fieldError('fieldInvalid', label, fieldId);
+            }
+            if (rule.oneOf && !rule.oneOf.includes(value)) {
+                return fieldError('fieldNotOneOf', label, fieldId, { options: rule.oneOf.join(', ') });
+            }
+            return { value };
+        }
+        case 'integer': {
+            if (!Number.isInteger(input)) return fieldError('fieldNotWholeNumber', label, fieldId);
+            if ((rule.min !== undefined && input < rule.min) || (rule.max !== undefined && input > rule.max)) {
+                return fieldError('fieldOutOfRange', label, fieldId, { min: rule.min ?? '-∞', max: rule.max ?? '∞' });
+            }
+            return { value: input };
+        }
+        case 'boolean': {
+            if (typeof input !== 'boolean') return fieldError('fieldNotBoolean', label, fieldId);
+            return { value: input };
+        }
+        case 'array': {
+            if (!Array.isArray(input)) return fieldError('fieldNotList', label, fieldId);
+            if (rule.maxItems !== undefined && input.length > rule.maxItems) {
+                return fieldError('fieldTooManyItems', label, fieldId, { max: rule.maxItems });
+            }
+            const value = [];
+            for (const item of input) {
+                const result = rule.items ? validateValue(rule.items, item, `Each entry of ${label.toLowerCase()}`, fieldId) : { value: item };
+                if (result.error) return result;
+                value.push(result.value);
+            }
+            return { value: rule.unique ? [...new Set(value)] : value };
+        }
+        case 'object': {
+            if (typeof input !== 'object' || Array.isArray(input)) return fieldError('fieldNotObject', label, fieldId);
+            return validatePayload(rule.fields || {}, input);
+        }
+        case 'any':
+            return { value: input };
+        default:
+            throw Error(`Unknown rule type '${rule.type}' for ${label}`);
+    }
+}
+
+function validatePayload(schema, input) {
+    if (input === undefined || input === null) input = {};
+    if (typeof input !== 'object' || Array.isArray(input)) return { error: serverMessage('invalidRequest') };
+
+    const value = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const label = rule.label || field;
+        const raw = input[field];
+        if (raw === undefined || raw === null) {
+            if (rule.required) return fieldError('fieldRequired', label, field);
+            continue;
+        }
+        const result = validateValue(rule, raw, label, field);
+        if (result.error) return result;
+        value[field] = result.value;
+    }
+    return { value };
+}
+
+// --- Socket event schemas ---
+
+const lobbyCode = {
+    type: 'string', required: true, uppercase: true, minLength: 1, maxLength: 16,
+    pattern: /^[A-Z0-9]+$/, patternMessage: 'invalidLobbyCode', label: 'Lobby code'
+};
+const playerName = {
+    type: 'string', required: true, minLength: 1, maxLength: MAX_PLAYER_NAME_LENGTH,
+    // Names end up in every other player's UI, keep markup and control characters out of them
+    pattern: /^[^<>\u0000-\u001f\u007f]+$/, patternMessage: 'invalidNameCharacters', label: 'Name'
+};
+// BCP 47 style tags such as 'en', 'de' or 'pt-BR'
+const language = {
+    type: 'string', maxLength: 35, pattern: /^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,8})*$/, patternMessage: 'invalidLanguage', label: 'Language'
+};
+const id = label => ({ type: 'string', required: true, minLength: 1, maxLength: MAX_ID_LENGTH, label });
+
+const lobbySettings = {
+    type: 'object',
+    label: 'Settings',
+    fields: {
+        scoreToWin: { type: 'integer', min: 1, max: 100, label: 'Score to win' },
+        maxPlayers: { type: 'integer', min: DEFAULT_MIN_PLAYERS, max: 20, label: 'Max players' }, // min: see configureMinPlayers
+        selectedPackIndexes: {
+            type: 'array', maxItems: MAX_SELECTED_PACKS, unique: true,
+            items: { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH }, label: 'Selected packs'
+        },
+        isPrivate: { type: 'boolean', label: 'Private' },
+        playTimeLimit: { type: 'integer', min: 0, max: 600, label: 'Play time limit' },
+        judgeTimeLimit: { type: 'integer', min: 0, max: 600, label: 'Judge time limit' },
+        judgeTimeoutAction: { type: 'string', oneOf: ['random', 'void'], label: 'Judge timeout action' },
+        roundOverDelay: { type: 'integer', min: 0, max: 60, label: 'Delay between rounds' },
+        houseRules: { type: 'array', maxItems: 20, unique: true, items: { type: 'string', maxLength: MAX_ID_LENGTH }, label: 'House rules' },
+        gameMode: { type: 'string', maxLength: MAX_ID_LENGTH, label: 'Game mode' },
+        roundLimit: { type: 'integer', min: 1, max: 100, label: 'Number of rounds' },
+        gameTimeLimit: { type: 'integer', min: 1, max: 240, label: 'Game length' },
+        blockedCards: {
+            type: 'array', maxItems: MAX_BLOCKED_CARDS, unique: true,
+            items: { type: 'string', minLength: 1, maxLength: MAX_CARD_TEXT_LENGTH }, label: 'Blocked cards'
+        },
+        blockedWords: {
+            type: 'array', maxItems: MAX_BLOCKED_WORDS, unique: true,
+            items: { type: 'string', minLength: 1, maxLength: 50 }, label: 'Blocked words'
+        },
+        blockVotedCards: { type: 'boolean', label: 'Block voted out cards' },
+        language
+    }
+};
+
+// Every socket event the server listens to. `payload` is the schema for the first argument (events without
+// one only take a callback), `rateLimit` names an extra bucket on top of the default one, and `failureReply`
+// is what the callback gets when the request is rejected ({ success: false, code, params, message } if not set).
+const socketEvents = {
+    getPackList: { payload: { language }, failureReply: [] },
+    getHouseRules: { failureReply: [] },
+    getPublicLobbies: { payload: { language }, failureReply: [] },
+    getBotStrategies: { failureReply: [] },
+    getGameModes: { failureReply: [] },
+    claimProfile: {
+        payload: { name: playerName, secret: { type: 'string', required: true, trim: false, minLength: 6, maxLength: 100, label: 'Secret' } },
+        rateLimit: 'profile'
+    },
+    logoutProfile: { payload: { token: { type: 'string', required: true, maxLength: 100, label: 'Token' } } },
+    createLobby: { payload: { playerName, settings: lobbySettings }, rateLimit: 'lobby' },
+    joinLobby: { payload: { lobbyCode, playerName }, rateLimit: 'lobby' },
+    spectateLobby: { payload: { lobbyCode, playerName }, rateLimit: 'lobby' },
+    joinNextRound: { payload: { lobbyCode, join: { type: 'boolean' } } },
+    rejoinLobby: {
+        payload: { lobbyCode, sessionToken: { type: 'string', required: true, maxLength: 64, label: 'Session token' } },
+        rateLimit: 'lobby'
+    },
+    leaveLobby: { payload: { lobbyCode } },
+    updateSettings: { payload: { lobbyCode, settings: { ...lobbySettings, required: true } } },
+    addCustomPack: {
+        payload: {
+            lobbyCode,
+            format: { type: 'string', required: true, oneOf: ['compact', 'full', 'editor'], label: 'Pack format' },
+            data: { type: 'any', required: true, label: 'Pack data' }
+        },
+        rateLimit: 'customPack'
+    },
+    addBot: { payload: { lobbyCode, strategy: { type: 'string', maxLength: MAX_ID_LENGTH, label: 'Bot strategy' } } },
+    removeCustomPack: { payload: { lobbyCode, packId: id('Pack id') } },
+    exportCustomPack: { payload: { lobbyCode, packId: id('Pack id') }, rateLimit: 'customPack' },
+    startGame: { payload: { lobbyCode } },
+    submitCards: {
+        payload: { lobbyCode, cardIds: { type: 'array', required: true, maxItems: 10, items: id('Card id'), label: 'Cards' } }
+    },
+    selectWinner: { payload: { lobbyCode, submissionId: id('Submission') } },
+    houseRuleAction: {
+        payload: { lobbyCode, ruleId: id('House rule'), action: id('Action'), data: { type: 'any' } }
+    },
+    requestNextRound: { payload: { lobbyCode } },
+    kickPlayer: { payload: { lobbyCode, playerId: id('Player'), ban: { type: 'boolean' } } },
+    unbanPlayer: { payload: { lobbyCode, banId: id('Ban') } },
+    transferHost: { payload: { lobbyCode, playerId: id('Player') } },
+    setLobbyLocked: { payload: { lobbyCode, locked: { type: 'boolean', required: true, label: 'Locked' } } },
+    skipBlackCard: { payload: { lobbyCode } },
+    endGame: { payload: { lobbyCode } },
+    voteRemoveCard: { payload: { lobbyCode, cardId: id('Card id') } },
+    chatMessage: {
+        payload: { lobbyCode, text: { type: 'string', required: true, minLength: 1, maxLength: MAX_CHAT_MESSAGE_LENGTH, label: 'Message' } },
+        rateLimit: 'chat'
+    }
+};
+
+// A lobby has to fit the players it takes to start a game, so the lowest max players follows config.game.minPlayers
+function configureMinPlayers(minPlayers) {
+    lobbySettings.fields.maxPlayers.min = minPlayers;
+}
+
+module.exports = {
+    validatePayload,
+    socketEvents,
+    configureMinPlayers
+};
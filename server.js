@@ -2,543 +2,1422 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const fs = require('fs').promises;
+const { watch } = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createLobbyStore } = require('./lib/lobbyStore');
+const CAHDeck = require('./lib/cahDeck');
+const { listHouseRules, sanitizeHouseRules, getActiveHouseRules } = require('./lib/houseRules');
+const { listGameModes, sanitizeGameMode, describeGameMode, getGameMode, rankPlayers } = require('./lib/gameModes');
+const { validatePayload, socketEvents, configureMinPlayers } = require('./lib/validation');
+const { createRateLimiter } = require('./lib/rateLimiter');
+const { configureWordFilter, moderateChatMessage } = require('./lib/chat');
+const { getBotStrategy, listBotStrategies, createBot, playBotTurn } = require('./lib/bots');
+const { listPackPresets, resolvePackPreset } = require('./lib/packPresets');
+const { filterCards } = require('./lib/cardFilter');
+const { GameHistory, gameRecordToMarkdown } = require('./lib/gameHistory');
+const { ProfileStore } = require('./lib/profiles');
+const { createAdminRouter } = require('./lib/adminApi');
+const { serverMessage } = require('./lib/messages');
+const { logger, configureLogger } = require('./lib/logger');
+const { defaultConfig, resolveConfig, getPublicConfig, formatHelp } = require('./lib/config');
+const { MetricsRegistry, mergeSnapshots, renderMetrics } = require('./lib/metrics');
+const { Game, createLobbyState, createPlayer, createSpectator, getLobbyPlayer, getLobbySpectator, getOpenSeats, getCardVotesNeeded } = require('./lib/game');
+const { getWorkerInfo, isPrimary, ownerIndexFor, createProcessAdapter, acceptConnections, startPrimary } = require('./lib/cluster');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
-const PORT = process.env.PORT || 3000;
-const MAX_HAND_SIZE = 10;
+const RECONNECT_GRACE_PERIOD_MS = 60000; // How long a disconnected player keeps their seat
+const MAX_CUSTOM_PACKS_PER_LOBBY = 10;
+const MAX_CUSTOM_PACK_CARDS = 1000;
+const MAX_CARD_TEXT_LENGTH = 500;
+const MAX_LOBBIES = 500;
+const CHAT_HISTORY_SIZE = 100; // Messages kept per lobby and sent to whoever joins
+const MAX_CARD_SEARCH_LENGTH = 100;
+const MAX_PACK_PREVIEW_CARDS = 20;
+const ROUND_DURATION_BUCKETS = [15, 30, 60, 90, 120, 180, 300, 600]; // Seconds
+const GAME_STATES = ['waiting', 'playing', 'judging', 'roundOver', 'gameOver'];
+const LOBBY_CODE_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const CONFIG_FILE = path.join(__dirname, 'config.json');
+// Per socket. 'lobby' covers creating, joining, spectating and rejoining lobbies.
+const RATE_LIMITS = {
+    default: { capacity: 30, perSecond: 10 },
+    lobby: { capacity: 5, perSecond: 0.2 },
+    customPack: { capacity: 5, perSecond: 0.5 },
+    chat: { capacity: 5, perSecond: 1 },
+    profile: { capacity: 3, perSecond: 0.1 } // Checking a secret is deliberately slow
+};
 
 // --- Configuration ---
-let config = {
-    allowSameNames: false,
-    roomsFunctionality: true // Default values
-};
+let config = defaultConfig(); // Every option and its default is listed in lib/config.js
+
+let globalCAHDeck;
+let packReloadTimer = null;
+const lobbies = {}; 
+const games = {}; // lobbyCode -> Game that runs the rules for lobbies[lobbyCode], see lib/game.js
+const disconnectTimers = {}; // sessionToken -> timeout handle, kept out of lobby state
+const phaseTimers = {}; // lobbyCode -> timeout handle for lobby.phaseDeadline
+const botTimers = {}; // lobbyCode -> timeout handle for the next bot move
+let lobbyStore;
+let gameHistory;
+let profileStore;
+let serverReady = false;
+const clusterWorker = getWorkerInfo(); // { index, count } when running as one of several processes, otherwise null
+const log = clusterWorker ? logger.child({ worker: clusterWorker.index }) : logger;
+
+// --- Metrics ---
+// Served at /metrics for Prometheus, see lib/metrics.js. Every worker counts for itself and /metrics adds them up.
+const metrics = new MetricsRegistry();
+const socketsGauge = metrics.gauge('cah_sockets_active', 'Connected sockets.');
+const lobbiesGauge = metrics.gauge('cah_lobbies_active', 'Lobbies by game state.', ['state']);
+const gamesStartedCounter = metrics.counter('cah_games_started_total', 'Games started, by game mode.', ['mode']);
+const gamesCompletedCounter = metrics.counter('cah_games_completed_total', 'Games that reached game over, by game mode.', ['mode']);
+const roundDurationHistogram = metrics.histogram('cah_round_duration_seconds', 'Time from dealing a round to its result.', ROUND_DURATION_BUCKETS);
+const socketEventsCounter = metrics.counter('cah_socket_events_total', 'Socket events received from clients, by event.', ['event']);
+const gameErrorsCounter = metrics.counter('cah_game_errors_total', 'Errors sent to clients with gameError, by message code.', ['code']);
+
+function collectMetrics() {
+    socketsGauge.set({}, io.engine.clientsCount);
+    lobbiesGauge.reset();
+    GAME_STATES.forEach(state => lobbiesGauge.set({ state }, 0));
+    Object.values(lobbies).forEach(lobby => lobbiesGauge.inc({ state: lobby.gameState }));
+    return metrics.snapshot();
+}
+
+// Every gameError goes out through here, to a socket or a whole lobby, so the metrics count it
+function sendGameError(target, message) {
+    gameErrorsCounter.inc({ code: message.code || 'none' });
+    io.to(target).emit('gameError', message);
+}
+
+function generateLobbyCode() {
+    let code;
+    do {
+        code = Array.from({ length: config.game.lobbyCodeLength }, () => LOBBY_CODE_CHARACTERS[crypto.randomInt(LOBBY_CODE_CHARACTERS.length)]).join('');
+    } while (lobbies[code] || !ownsLobbyCode(code));
+    return code;
+}
+
+// Every worker only creates and restores lobbies whose code hashes to its own index, so codes never clash
+// between workers.
+function ownsLobbyCode(lobbyCode) {
+    return !clusterWorker || ownerIndexFor(lobbyCode, clusterWorker.count) === clusterWorker.index;
+}
+
+// Sent by the client in the socket.io handshake (auth.clientId) and kept in its localStorage.
+function getClientId(socket) {
+    const clientId = socket.handshake.auth?.clientId;
+    return typeof clientId === 'string' && clientId.length > 0 && clientId.length <= 64 ? clientId : null;
+}
 
-class CAHDeck {
-    constructor() {
-        this.deck = null;
-        this.compactSrc = undefined;
-        this.fullSrc = undefined;
+function isBanned(lobby, clientId) {
+    return !!clientId && lobby.bans.some(ban => ban.clientId === clientId);
+}
+
+function isNameTaken(lobby, name) {
+    if (config.allowSameNames) return false;
+    return [...lobby.players, ...lobby.spectators].some(p => p.name.toLowerCase() === name.toLowerCase());
+}
+
+// --- Bots ---
+function clearBotTimer(lobbyCode) {
+    if (botTimers[lobbyCode]) {
+        clearTimeout(botTimers[lobbyCode]);
+        delete botTimers[lobbyCode];
     }
+}
 
-    _hydrateCompact(json) {
-        let hydratedPacks = [];
+// Bots move one at a time. Every move schedules the next one until no bot has anything left to do this phase.
+function scheduleBotTurn(game) {
+    const lobbyCode = game.lobby.code;
+    clearBotTimer(lobbyCode);
+    if (!game.lobby.players.some(p => p.botStrategy)) return;
+    botTimers[lobbyCode] = setTimeout(() => {
+        delete botTimers[lobbyCode];
+        if (playBotTurn(game)) scheduleBotTurn(game);
+    }, config.botTurnDelayMs);
+}
 
-        if (!json) {
-            console.error("Error in _hydrateCompact: Parsed JSON is null or undefined.");
-            return [];
-        }
+// In standings order under the lobby's game mode
+function getPublicPlayers(lobby) {
+    return rankPlayers(lobby).map(p => ({ id: p.id, name: p.name, score: p.score }));
+}
 
-        if (!json.metadata || typeof json.metadata !== 'object') {
-            console.error("Error in _hydrateCompact: 'json.metadata' is missing or not a valid object. Loaded JSON structure might be incorrect. Expected a top-level 'metadata' object containing pack information.");
-            console.log("Loaded JSON keys:", Object.keys(json));
-            return [];
-        }
+function clearDisconnectTimer(sessionToken) {
+    if (disconnectTimers[sessionToken]) {
+        clearTimeout(disconnectTimers[sessionToken]);
+        delete disconnectTimers[sessionToken];
+    }
+}
 
-        if (!json.white || !Array.isArray(json.white)) {
-            console.error("Error in _hydrateCompact: 'json.white' (global white cards list) is missing or not a valid array.");
-            return [];
-        }
-        if (!json.black || !Array.isArray(json.black)) {
-            console.error("Error in _hydrateCompact: 'json.black' (global black cards list) is missing or not a valid array.");
-            return [];
-        }
+// --- Chat ---
+// Player messages and system messages (joins, leaves, round results, host changes) share one channel and one
+// bounded history per lobby. The history is saved with the lobby on its next snapshot, chat alone doesn't trigger one.
+function addChatEntry(lobbyCode, entry) {
+    const lobby = lobbies[lobbyCode];
+    const message = { id: crypto.randomBytes(6).toString('hex'), timestamp: Date.now(), ...entry };
+    lobby.chatHistory.push(message);
+    if (lobby.chatHistory.length > CHAT_HISTORY_SIZE) {
+        lobby.chatHistory.splice(0, lobby.chatHistory.length - CHAT_HISTORY_SIZE);
+    }
+    io.to(lobbyCode).emit('chatMessage', message);
+}
 
-        const packIds = Object.keys(json.metadata);
-        for (let i = 0; i < packIds.length; i++) {
-            const packId = packIds[i];
-            const packData = json.metadata[packId];
+// message: see lib/messages.js. The entry keeps the English text for clients that don't translate.
+function sendSystemMessage(lobbyCode, message) {
+    if (!lobbies[lobbyCode]) return;
+    addChatEntry(lobbyCode, { type: 'system', text: message.message, code: message.code, params: message.params });
+}
 
-            if (!packData || typeof packData.name !== 'string' ||
-                !Array.isArray(packData.white) || !Array.isArray(packData.black)) {
-                console.warn(`Skipping malformed pack data for packId '${packId}' in cards.json. Pack data:`, packData);
-                continue;
-            }
+function sendChatHistory(socketId, lobby) {
+    io.to(socketId).emit('chatHistory', lobby.chatHistory);
+}
 
-            let hydratedPack = {
-                name: packData.name,
-                official: packData.official, 
-                description: packData.description,
-                white: [],
-                black: []
-            };
-            if (packData.icon) hydratedPack.icon = packData.icon;
+// --- Games ---
+// The rules live in lib/game.js. Its events are where a lobby's state changes reach sockets, timers, storage and profiles.
+function attachGame(lobby) {
+    const lobbyCode = lobby.code;
+    const lobbyLog = log.child({ lobbyCode });
+    const game = new Game(lobby, { handSize: config.game.handSize, minPlayers: config.game.minPlayers });
+    game.on('changed', () => {
+        broadcastLobbyState(lobbyCode);
+        persistLobby(lobbyCode);
+    });
+    game.on('hand', player => io.to(player.id).emit('handUpdate', player.hand));
+    game.on('message', message => sendSystemMessage(lobbyCode, message));
+    game.on('deadline', () => armPhaseTimer(lobbyCode));
+    game.on('turn', () => scheduleBotTurn(game));
+    game.on('roundWon', (winner, submission) => {
+        if (winner.profileId) updateProfiles('recordRoundWin', winner.profileId, submission.cards.map(c => c.text));
+    });
+    game.on('roundEnded', ({ winner, durationMs }) => {
+        roundDurationHistogram.observe(durationMs / 1000);
+        lobbyLog.debug('Round ended', { round: lobby.roundsPlayed, winnerName: winner?.name ?? null, durationMs });
+    });
+    game.on('gameOver', ({ info, winner, record }) => {
+        clearBotTimer(lobbyCode);
+        gamesCompletedCounter.inc({ mode: sanitizeGameMode(lobby.settings.gameMode) });
+        lobbyLog.info('Game over', { winnerName: winner?.name ?? null, reason: info.code ?? null, gameId: record?.id ?? null });
+        if (record) gameHistory.save(record).catch(err => lobbyLog.error('Failed to save game', { gameId: record.id, err }));
+        updateProfiles('recordGame', lobby.players.map(p => p.profileId).filter(Boolean), winner?.profileId);
+        io.to(lobbyCode).emit('gameOver', { ...info, players: getPublicPlayers(lobby), gameId: record?.id || null });
+    });
+    game.on('playerRemoved', person => {
+        clearDisconnectTimer(person.sessionToken);
+        lobbyLog.info('Left lobby', { playerName: person.name });
+    });
+    game.on('closed', message => {
+        lobbyLog.info('Lobby is empty, deleting it');
+        sendGameError(lobbyCode, message);
+        deleteLobby(lobbyCode);
+    });
+    games[lobbyCode] = game;
+    return game;
+}
 
-            const currentPackIndexInHydratedArray = hydratedPacks.length;
+// Drops a lobby along with its timers and snapshot. The people in it have to be told by the caller.
+function deleteLobby(lobbyCode) {
+    const lobby = lobbies[lobbyCode];
+    [...lobby.players, ...lobby.spectators].forEach(p => clearDisconnectTimer(p.sessionToken));
+    clearPhaseTimer(lobbyCode);
+    clearBotTimer(lobbyCode);
+    games[lobbyCode].removeAllListeners();
+    delete games[lobbyCode];
+    delete lobbies[lobbyCode];
+    persistLobby(lobbyCode);
+}
 
+// Works for players and spectators alike, both keep their place for the grace period and leave after it.
+function holdSeat(lobbyCode, player) {
+    log.info('Disconnected from lobby, holding their seat', { lobbyCode, playerName: player.name, graceSeconds: RECONNECT_GRACE_PERIOD_MS / 1000 });
+    clearDisconnectTimer(player.sessionToken);
+    disconnectTimers[player.sessionToken] = setTimeout(() => {
+        delete disconnectTimers[player.sessionToken];
+        if (!games[lobbyCode] || player.connected) return;
+        games[lobbyCode].leave(player.id);
+    }, RECONNECT_GRACE_PERIOD_MS);
+}
 
-            hydratedPack.white = packData.white.map((cardIndex) => { 
-                if (typeof json.white[cardIndex] === 'undefined') {
-                    console.warn(`Warning: White card index ${cardIndex} not found in global white cards for pack '${packData.name}'. Skipping card.`);
-                    return null;
-                }
-                return Object.assign(
-                    {},
-                    { text: json.white[cardIndex] },
-                    { pack: currentPackIndexInHydratedArray }, 
-                    packData.icon ? { icon: packData.icon } : {}
-                );
-            }).filter(card => card !== null);
-
-            hydratedPack.black = packData.black.map((cardIndex) => { 
-                if (typeof json.black[cardIndex] === 'undefined' || typeof json.black[cardIndex].text !== 'string' || typeof json.black[cardIndex].pick !== 'number') {
-                    console.warn(`Warning: Black card index ${cardIndex} not found or malformed (missing text/pick) in global black cards for pack '${packData.name}'. Skipping card.`);
-                    return null;
-                }
-                return Object.assign(
-                    {},
-                    json.black[cardIndex],
-                    { pack: currentPackIndexInHydratedArray }, 
-                    packData.icon ? { icon: packData.icon } : {}
-                );
-            }).filter(card => card !== null);
+function markPlayerDisconnected(lobbyCode, player) {
+    holdSeat(lobbyCode, player);
+    games[lobbyCode].disconnect(player.id);
+}
+
+// Snapshot the lobby to the configured store, or drop its snapshot if the lobby is gone.
+function persistLobby(lobbyCode) {
+    if (!lobbyStore) return;
+    const lobby = lobbies[lobbyCode];
+    const task = lobby ? lobbyStore.save(lobbyCode, lobby) : lobbyStore.remove(lobbyCode);
+    task.catch(err => log.error('Failed to persist lobby', { lobbyCode, err }));
+}
 
-            hydratedPacks.push(hydratedPack);
+async function restoreLobbies() {
+    const savedLobbies = await lobbyStore.loadAll();
+    let count = 0;
+    for (const lobbyCode in savedLobbies) {
+        if (!ownsLobbyCode(lobbyCode)) continue;
+        const lobby = savedLobbies[lobbyCode];
+        count++;
+        lobbies[lobbyCode] = lobby;
+        const game = attachGame(lobby);
+        lobby.spectators = lobby.spectators || [];
+        lobby.bans = lobby.bans || [];
+        lobby.chatHistory = lobby.chatHistory || [];
+        lobby.customPacks = lobby.customPacks || [];
+        // Packs may have gone while we were down, and snapshots from before pack ids hold indexes
+        lobby.settings.selectedPackIndexes = sanitizePackIds(lobby, lobby.settings.selectedPackIndexes
+            .map(packId => typeof packId === 'number' ? packIdFromIndex(packId) : packId));
+        // Every socket died with the old process, so everyone starts out away and has the usual grace period to rejoin.
+        game.disconnectAll();
+        lobby.players.filter(p => !p.isBot).forEach(player => holdSeat(lobbyCode, player));
+        lobby.spectators.forEach(spectator => holdSeat(lobbyCode, spectator));
+        if (lobby.phaseDeadline) {
+            // Don't let a deadline that ran out while we were down skip everyone before they can rejoin.
+            lobby.phaseDeadline = Math.max(lobby.phaseDeadline, Date.now() + RECONNECT_GRACE_PERIOD_MS);
+            armPhaseTimer(lobbyCode);
         }
-        return hydratedPacks;
+        scheduleBotTurn(game);
     }
+    if (count > 0) log.info('Restored lobbies from storage', { count });
+}
 
-    async _loadDeck() {
-        if (typeof this.compactSrc !== "undefined") {
-            try {
-                const fileContent = await fs.readFile(this.compactSrc, 'utf-8');
-                const json = JSON.parse(fileContent);
-                this.deck = this._hydrateCompact(json);
-            } catch (err) {
-                console.error("Error loading or parsing compact deck from file:", this.compactSrc, err);
-                throw Error(`Failed to load compact deck from source. Original error: ${err.message}`);
-            }
-        } else if (typeof this.fullSrc !== "undefined") {
-            try {
-                const fileContent = await fs.readFile(this.fullSrc, 'utf-8');
-                this.deck = JSON.parse(fileContent); 
-            } catch (err) {
-                console.error("Error loading or parsing full deck from file:", this.fullSrc, err);
-                throw Error(`Failed to load full deck from source. Original error: ${err.message}`);
+// --- Global packs ---
+// config.deckFile (cards.json) plus every JSON deck in config.packsDirectory, merged into one deck. Pack ids are
+// '<file name>:<pack key>', so adding or removing a file never changes the ids lobbies have selected. The main
+// deck's packs are 'cards:<pack key>' whatever its file is called, so presets and saved lobbies keep working.
+function getPacksDirectory() {
+    return path.resolve(__dirname, config.packsDirectory);
+}
+
+function getDeckFile() {
+    return path.resolve(__dirname, config.deckFile);
+}
+
+async function loadGlobalDeck() {
+    const sources = [{ name: 'cards', file: getDeckFile() }];
+    try {
+        const files = (await fs.readdir(getPacksDirectory())).filter(file => path.extname(file) === '.json').sort();
+        for (const file of files) {
+            const name = path.basename(file, '.json');
+            if (sources.some(source => source.name === name)) {
+                log.warn('Skipping a deck in the packs directory, one with that name is already loaded', { file, name });
+                continue;
             }
-        } else {
-            throw Error("No source specified, please use CAHDeck.fromCompact(src) or CAHDeck.fromFull(src) to make your objects.");
+            sources.push({ name, file: path.join(getPacksDirectory(), file) });
         }
+    } catch (err) {
+        if (err.code !== 'ENOENT') log.error('Could not read the packs directory', { err });
     }
 
-    static async fromCompact(compactSrc) {
-        let n = new CAHDeck();
-        n.compactSrc = compactSrc;
-        await n._loadDeck();
-        return n;
+    const decks = [];
+    for (const source of sources) {
+        try {
+            decks.push({ name: source.name, deck: await CAHDeck.fromFile(source.file) });
+        } catch (err) {
+            log.error('Skipping deck', { file: source.file, error: err.message });
+        }
     }
+    return CAHDeck.merge(decks);
+}
 
-    static async fromFull(fullSrc) {
-        let n = new CAHDeck();
-        n.fullSrc = fullSrc;
-        await n._loadDeck();
-        return n;
+// Lobbies copy their cards into their own decks when a game starts, so swapping the global deck
+// only affects lobbies that start afterwards.
+async function reloadPacks() {
+    const deck = await loadGlobalDeck();
+    if (deck.listPacks().length === 0 && globalCAHDeck) {
+        log.error('Pack reload found no packs, keeping the previously loaded ones');
+        return;
     }
+    globalCAHDeck = deck;
+    log.info('Card packs reloaded', { packs: deck.listPacks().length });
+}
 
-    listPacks() {
-        let packs = [];
-        if (!this.deck) return packs;
-        for (let id = 0; id < this.deck.length; id++) {
-            const { name, official, description, icon, white, black } = this.deck[id];
-            let pack = {
-                id, name, official, description,
-                counts: {
-                    white: white.length,
-                    black: black.length,
-                    total: white.length + black.length,
-                },
-            };
-            if (icon) pack.icon = icon;
-            packs.push(pack);
-        }
-        return packs;
-    }
+function schedulePackReload() {
+    clearTimeout(packReloadTimer);
+    // Editors and copies fire several events per save, wait for them to settle
+    packReloadTimer = setTimeout(() => {
+        reloadPacks().catch(err => log.error('Failed to reload card packs', { err }));
+    }, 500);
+}
 
-    getPack(index) {
-        if (!this.deck) return undefined;
-        return this.deck[index];
+function watchPacks() {
+    try {
+        watch(getPacksDirectory(), (eventType, fileName) => {
+            if (!fileName || path.extname(fileName) === '.json') schedulePackReload();
+        });
+        const deckFile = getDeckFile();
+        watch(path.dirname(deckFile), (eventType, fileName) => {
+            if (fileName === path.basename(deckFile)) schedulePackReload();
+        });
+    } catch (err) {
+        log.error('Could not watch card packs for changes', { err });
     }
+}
 
-    getPacks(indexes) {
-        if (!this.deck) return { white: [], black: [] };
-        if (typeof indexes === "undefined" || indexes.length === 0) {
-            indexes = this.deck.map((pack, index) => index);
-        }
+function getDefaultPackIds() {
+    const firstPack = globalCAHDeck.listPacks()[0];
+    return firstPack ? [firstPack.id] : [];
+}
 
-        let white = [];
-        let black = [];
-        let cardIdCounter = 0; 
+// Lobbies saved before packs had ids picked them by their position in the main deck
+function packIdFromIndex(index) {
+    return globalCAHDeck.listPacks().filter(pack => pack.id.startsWith('cards:'))[index]?.id;
+}
 
-        for (let packIndex of indexes) {
-            const packNum = parseInt(packIndex, 10);
-            if (typeof this.deck[packNum] !== "undefined") {
-                white.push(...this.deck[packNum].white.map(card => ({ ...card, id: `w_${cardIdCounter++}` })));
-                black.push(...this.deck[packNum].black.map(card => ({ ...card, id: `b_${cardIdCounter++}` })));
-            } else {
-                console.warn(`Pack index ${packNum} requested but not found in loaded deck.`);
+// Drops pack ids that are neither a global pack nor one of the lobby's custom packs.
+function sanitizePackIds(lobby, packIds) {
+    return packIds.filter(packId => isCustomPackId(packId)
+        ? lobby.customPacks.some(pack => pack.id === packId)
+        : !!globalCAHDeck.getPack(packId));
+}
+
+// Games in progress are listed too, they can always be watched and joined from the next round if there is room.
+// With a language only lobbies playing in it are listed, 'pt' includes 'pt-br'.
+function listPublicLobbies(language) {
+    const wanted = language ? CAHDeck.normalizeLanguage(language) : null;
+    return Object.values(lobbies)
+        .filter(lobby => !lobby.settings.isPrivate && !lobby.locked && lobby.gameState !== 'gameOver')
+        .filter(lobby => !wanted || CAHDeck.matchesLanguage(lobby.settings.language || CAHDeck.DEFAULT_LANGUAGE, wanted))
+        .map(lobby => ({
+            code: lobby.code,
+            hostName: lobby.players.find(p => p.id === lobby.hostId)?.name || 'Unknown Host',
+            playerCount: lobby.players.length,
+            spectatorCount: lobby.spectators.length,
+            inProgress: lobby.gameState !== 'waiting',
+            canJoin: getOpenSeats(lobby) > 0,
+            settings: { 
+                maxPlayers: lobby.settings.maxPlayers,
+                scoreToWin: lobby.settings.scoreToWin,
+                gameMode: describeGameMode(lobby.settings),
+                language: lobby.settings.language || CAHDeck.DEFAULT_LANGUAGE,
+                selectedPackNames: lobby.settings.selectedPackIndexes.map(packId => getPackName(lobby, packId))
             }
+        }));
+}
+
+// The lobby a socket is seated in or watching, if any.
+function findSocketLobbyCode(socketId) {
+    return Object.keys(lobbies).find(lobbyCode =>
+        getLobbyPlayer(lobbies[lobbyCode], socketId) || getLobbySpectator(lobbies[lobbyCode], socketId));
+}
+
+// --- Custom packs ---
+// Packs a host uploads live on the lobby only. selectedPackIndexes refers to them by their lobby-scoped id
+// ('custom-1'), next to the '<file name>:<pack key>' ids of global packs.
+function isCustomPackId(packId) {
+    return typeof packId === 'string' && packId.startsWith('custom-');
+}
+
+// Turns what the in-lobby editor sends (one card per line) into a pack in the full format.
+function editorPackToFull({ name, description, language, white, black }) {
+    const lines = value => (Array.isArray(value) ? value : String(value || '').split('\n'));
+    return [{
+        name: String(name || '').trim() || 'Custom Pack',
+        description: description ? String(description) : undefined,
+        language,
+        official: false,
+        white: lines(white).map(text => ({ text })),
+        // A black card asks for one white card per blank, and at least one
+        black: lines(black).map(text => ({ text, pick: Math.max(1, (String(text).match(/_+/g) || []).length) }))
+    }];
+}
+
+// Validates an upload with the same CAHDeck hydration used for cards.json.
+// Returns { packs } on success or { error } with a message for the host.
+function parseCustomPackUpload(format, data) {
+    let json = data;
+    if (typeof data === 'string' && format !== 'editor') {
+        try {
+            json = JSON.parse(data);
+        } catch (err) {
+            return { error: serverMessage('packInvalidJson', { error: err.message }) };
         }
-        return { white, black };
     }
+
+    let deck;
+    if (format === 'compact') {
+        deck = CAHDeck.fromCompactJSON(json);
+    } else if (format === 'full') {
+        deck = CAHDeck.fromFullJSON(Array.isArray(json) ? json : [json]);
+    } else if (format === 'editor') {
+        deck = CAHDeck.fromFullJSON(editorPackToFull(json || {}));
+    } else {
+        return { error: serverMessage('packUnknownFormat', { format }) };
+    }
+
+    const cleanCards = cards => cards
+        .map(card => ({ ...card, text: String(card.text).trim() }))
+        .filter(card => card.text.length > 0);
+    const packs = deck.deck
+        .map(pack => ({ ...pack, white: cleanCards(pack.white), black: cleanCards(pack.black) }))
+        .filter(pack => pack.white.length + pack.black.length > 0);
+
+    if (packs.length === 0) {
+        return { error: serverMessage('packNoValidCards') };
+    }
+    for (const pack of packs) {
+        if (pack.white.length + pack.black.length > MAX_CUSTOM_PACK_CARDS) {
+            return { error: serverMessage('packTooManyCards', { name: pack.name, max: MAX_CUSTOM_PACK_CARDS }) };
+        }
+        if ([...pack.white, ...pack.black].some(card => card.text.length > MAX_CARD_TEXT_LENGTH)) {
+            return { error: serverMessage('packCardTooLong', { name: pack.name, max: MAX_CARD_TEXT_LENGTH }) };
+        }
+    }
+    return { packs };
 }
 
-let globalCAHDeck;
-const lobbies = {}; 
+function addCustomPacks(lobby, packs) {
+    const added = [];
+    packs.forEach(pack => {
+        lobby.customPackCounter = (lobby.customPackCounter || 0) + 1;
+        const packId = `custom-${lobby.customPackCounter}`;
+        const withPackId = card => ({ ...card, pack: packId });
+        const customPack = {
+            id: packId,
+            name: pack.name.trim().substring(0, 100) || 'Custom Pack',
+            description: pack.description,
+            language: pack.language,
+            official: false,
+            white: pack.white.map(withPackId),
+            black: pack.black.map(withPackId)
+        };
+        lobby.customPacks.push(customPack);
+        lobby.settings.selectedPackIndexes.push(packId);
+        added.push(customPack);
+    });
+    return added;
+}
 
-function generateLobbyCode() {
-    let code;
-    do {
-        code = Math.random().toString(36).substring(2, 7).toUpperCase();
-    } while (lobbies[code]);
-    return code;
+function listCustomPacks(lobby) {
+    return lobby.customPacks.map(({ id, name, description, language, white, black }) => ({
+        id, name, description, language: language || CAHDeck.DEFAULT_LANGUAGE, official: false, custom: true,
+        counts: {
+            white: white.length,
+            black: black.length,
+            total: white.length + black.length
+        }
+    }));
 }
 
-function shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
+function getPackName(lobby, packId) {
+    if (isCustomPackId(packId)) {
+        return lobby.customPacks.find(p => p.id === packId)?.name || packId;
     }
+    return globalCAHDeck.listPacks().find(p => p.id === packId)?.name || `Pack ${packId}`;
 }
 
-function getLobbyPlayer(lobby, playerId) {
-    return lobby.players.find(p => p.id === playerId);
+// Every player is dealt a full hand from the white cards of the selected packs. Returns a warning for the host
+// when a full lobby would run out of them, null when there are enough.
+function getPackWarning(lobby) {
+    if (!globalCAHDeck) return null; // Lobbies restored at startup are broadcast before the packs are loaded
+    const whiteCards = lobby.settings.selectedPackIndexes.reduce((count, packId) => {
+        const pack = isCustomPackId(packId)
+            ? lobby.customPacks.find(p => p.id === packId)
+            : globalCAHDeck.getPack(packId);
+        return count + (pack ? pack.white.length : 0);
+    }, 0);
+    const needed = lobby.settings.maxPlayers * config.game.handSize;
+    if (whiteCards >= needed) return null;
+    return serverMessage('notEnoughWhiteCards', { count: whiteCards, players: lobby.settings.maxPlayers, needed });
 }
 
-function broadcastLobbyState(lobbyCode) {
-    const lobby = lobbies[lobbyCode];
-    if (!lobby) return;
+// All cards for the packs selected in the lobby, global and custom, minus the banned and blocked ones
+function buildLobbyCards(lobby) {
+    const selected = lobby.settings.selectedPackIndexes;
+    const globalPackIndexes = selected.filter(packId => !isCustomPackId(packId));
+    // getPacks treats an empty list as "every pack", so only ask for global packs when some are selected
+    const cards = globalPackIndexes.length > 0 ? globalCAHDeck.getPacks(globalPackIndexes) : { white: [], black: [] };
+
+    let customCardIdCounter = 0;
+    lobby.customPacks.filter(pack => selected.includes(pack.id)).forEach(pack => {
+        cards.white.push(...pack.white.map(card => ({ ...card, id: `cw_${customCardIdCounter++}` })));
+        cards.black.push(...pack.black.map(card => ({ ...card, id: `cb_${customCardIdCounter++}` })));
+    });
+
+    const filtered = filterCards(cards, {
+        bannedCards: config.bannedCards,
+        blockedCards: lobby.settings.blockedCards,
+        blockedWords: lobby.settings.blockedWords
+    });
+    if (filtered.removed > 0) log.info('Left blocked cards out of the deck', { lobbyCode: lobby.code, removed: filtered.removed });
+    return { white: filtered.white, black: filtered.black };
+}
 
-    const publicLobbyState = {
+function getPublicLobbyState(lobbyCode) {
+    const lobby = lobbies[lobbyCode];
+    return {
         code: lobbyCode,
         players: lobby.players.map(p => ({ 
             id: p.id,
             name: p.name, 
             score: p.score, 
             isCzar: p.id === lobby.czarId, 
-            hasSubmitted: !!p.submittedCards 
+            hasSubmitted: !!p.submittedCards,
+            hasVoted: !!lobby.roundVotes?.[p.id],
+            isConnected: p.connected,
+            isBot: !!p.isBot,
+            botStrategy: p.botStrategy || null
+        })),
+        spectators: lobby.spectators.map(s => ({
+            id: s.id,
+            name: s.name,
+            isConnected: s.connected,
+            joinNextRound: !!s.joinNextRound
         })),
         hostId: lobby.hostId,
+        locked: !!lobby.locked,
+        bans: lobby.bans.map(ban => ({ id: ban.id, name: ban.name })),
         gameState: lobby.gameState,
         settings: lobby.settings, // includes isPrivate for host display if needed
+        gameMode: describeGameMode(lobby.settings),
+        houseRules: getActiveHouseRules(lobby), // settings.houseRules plus the ones the game mode switches on
+        standings: getGameMode(lobby.settings.gameMode).standings?.(lobby) || null,
+        gameEndsAt: lobby.gameEndsAt || null,
+        customPacks: listCustomPacks(lobby),
+        packWarning: getPackWarning(lobby),
         currentBlackCard: lobby.currentBlackCard,
+        cardVotes: (lobby.cardVotes || []).map(vote => ({
+            cardId: vote.cardId,
+            text: vote.text,
+            color: vote.color,
+            voterIds: vote.voterIds
+        })),
+        cardVotesNeeded: getCardVotesNeeded(lobby),
+        // Authors stay server-side until the round is over, then they are revealed through roundWinnerInfo
         roundSubmissions: lobby.gameState === 'judging' ? lobby.roundSubmissions.map(sub => ({
-            playerId: sub.playerId,
-            playerName: sub.playerName,
+            submissionId: sub.submissionId,
             cards: sub.cards
         })) : null,
         roundWinnerInfo: lobby.roundWinnerInfo, 
+        lastGameId: lobby.lastGameId || null, // Recap of the last finished game, see /api/games/:id
+        // Absolute deadline for the current phase; serverTime lets clients correct for clock skew.
+        phaseDeadline: lobby.phaseDeadline || null,
+        serverTime: Date.now(),
         czarId: lobby.czarId,
         czarName: lobby.czarId ? lobby.players.find(p => p.id === lobby.czarId)?.name : null
     };
-    io.to(lobbyCode).emit('lobbyUpdate', publicLobbyState);
 }
 
-function dealWhiteCards(lobby, player, count) {
-    for (let i = 0; i < count; i++) {
-        if (lobby.whiteDeck.length === 0) {
-            if (lobby.whiteDiscard.length === 0) break; 
-            lobby.whiteDeck = [...lobby.whiteDiscard];
-            lobby.whiteDiscard = [];
-            shuffleArray(lobby.whiteDeck);
-        }
-        if (lobby.whiteDeck.length > 0) {
-            player.hand.push(lobby.whiteDeck.pop());
-        }
+function broadcastLobbyState(lobbyCode) {
+    if (!lobbies[lobbyCode]) return;
+    io.to(lobbyCode).emit('lobbyUpdate', getPublicLobbyState(lobbyCode));
+}
+
+function clearPhaseTimer(lobbyCode) {
+    if (phaseTimers[lobbyCode]) {
+        clearTimeout(phaseTimers[lobbyCode]);
+        delete phaseTimers[lobbyCode];
     }
 }
 
-function startNextRound(lobbyCode) {
+// Schedules the game's phaseTimeout for lobby.phaseDeadline. What the timeout does depends on the phase the lobby is in when it fires.
+function armPhaseTimer(lobbyCode) {
+    clearPhaseTimer(lobbyCode);
     const lobby = lobbies[lobbyCode];
-    if (!lobby) return;
+    if (!lobby || !lobby.phaseDeadline) return;
+    phaseTimers[lobbyCode] = setTimeout(() => {
+        delete phaseTimers[lobbyCode];
+        games[lobbyCode].phaseTimeout();
+    }, Math.max(0, lobby.phaseDeadline - Date.now()));
+}
 
-    lobby.gameState = 'playing';
-    lobby.roundSubmissions = [];
-    lobby.roundWinnerInfo = null;
-    lobby.players.forEach(p => p.submittedCards = null);
+// Shuts a lobby down for everyone in it, used when an operator closes it.
+function closeLobby(lobbyCode, message) {
+    const lobby = lobbies[lobbyCode];
+    if (!lobby) return false;
+    io.to(lobbyCode).emit('lobbyClosed', { lobbyCode, message });
+    io.in(lobbyCode).socketsLeave(lobbyCode);
+    deleteLobby(lobbyCode);
+    log.info('Lobby was closed by an operator', { lobbyCode });
+    return true;
+}
 
-    const currentCzarIndex = lobby.players.findIndex(p => p.id === lobby.czarId);
-    lobby.czarId = lobby.players[(currentCzarIndex + 1) % lobby.players.length].id;
 
-    if (lobby.blackDeck.length === 0) {
-        if (lobby.blackDiscard.length === 0) {
-            io.to(lobbyCode).emit('gameOver', { message: "No more black cards!", players: lobby.players });
-            lobby.gameState = 'gameOver';
-            broadcastLobbyState(lobbyCode);
-            return;
-        }
-        lobby.blackDeck = [...lobby.blackDiscard];
-        lobby.blackDiscard = [];
-        shuffleArray(lobby.blackDeck);
-    }
-    if (lobby.currentBlackCard) lobby.blackDiscard.push(lobby.currentBlackCard);
-    lobby.currentBlackCard = lobby.blackDeck.pop();
+// --- Multiple processes ---
+// With config.cluster.workers > 1 each worker keeps its own lobbies (see lib/cluster.js). A socket can be connected
+// to one worker and sit in a lobby owned by another, so events for a lobby this worker doesn't have are forwarded
+// and run on the owner against a stand-in socket. Game logic for a lobby therefore only ever runs in one process.
+
+// Stand-in for a socket connected to another worker. Joining, leaving and emitting go through the adapter and
+// reach the real socket.
+function createRemoteSocket(socketId, auth, data) {
+    const listeners = {};
+    const socket = {
+        id: socketId,
+        isRemote: true,
+        handshake: { auth },
+        data,
+        listeners,
+        joinedRoom: null,
+        on: (eventName, listener) => { listeners[eventName] = listener; },
+        join: room => {
+            socket.joinedRoom = room;
+            io.in(socketId).socketsJoin(room);
+        },
+        leave: room => io.in(socketId).socketsLeave(room)
+    };
+    return socket;
+}
+
+// Asks the other workers to run a lobby event for one of our sockets. Resolves with the owner's answer
+// ({ replyArgs, lobbyState }), or null when no worker has the lobby.
+async function forwardLobbyEvent(socket, eventName, payload) {
+    const answers = await io.serverSideEmitWithAck('cluster:lobbyEvent', {
+        eventName,
+        payload,
+        socketId: socket.id,
+        auth: socket.handshake.auth,
+        data: socket.data
+    });
+    return answers.find(Boolean) || null;
+}
 
-    lobby.players.forEach(player => {
-        const cardsNeeded = MAX_HAND_SIZE - player.hand.length;
-        if (cardsNeeded > 0) {
-            dealWhiteCards(lobby, player, cardsNeeded);
+io.on('cluster:lobbyEvent', ({ eventName, payload, socketId, auth, data }, ack) => {
+    if (!lobbies[payload.lobbyCode]) return ack(null);
+    const socket = createRemoteSocket(socketId, auth, data);
+    registerSocketHandlers(socket);
+    let replyArgs = null;
+    socket.listeners[eventName](payload, (...args) => { replyArgs = args; });
+    // Our broadcasts overtake the reply on its way back, so a socket that just entered the lobby got the lobby
+    // state before its client knew it had joined. The forwarding worker sends it again after the reply.
+    const lobbyState = socket.joinedRoom && lobbies[socket.joinedRoom] ? getPublicLobbyState(socket.joinedRoom) : null;
+    ack({ replyArgs, lobbyState });
+});
+
+io.on('cluster:socketDisconnected', socketId => markSocketDisconnected(socketId));
+
+// Questions every worker answers about the lobbies it owns, see queryWorkers
+const clusterQueries = {
+    'cluster:publicLobbies': language => listPublicLobbies(language),
+    'cluster:listLobbies': () => Object.values(lobbies).map(summarizeLobby),
+    'cluster:getLobby': code => describeLobby(code),
+    'cluster:stats': () => countLobbyStats(),
+    'cluster:closeLobby': (code, message) => closeLobby(code, message),
+    'cluster:gameRecord': id => gameHistory.get(id),
+    'cluster:reloadConfig': () => reloadConfig(),
+    'cluster:reloadPacks': () => reloadPacks(),
+    'cluster:metrics': () => collectMetrics()
+};
+
+Object.entries(clusterQueries).forEach(([eventName, query]) => {
+    io.on(eventName, async (...args) => {
+        const ack = args.pop();
+        try {
+            ack(await query(...args));
+        } catch (err) {
+            log.error('Failed to answer a cluster query', { eventName, err });
+            ack(null);
         }
-        io.to(player.id).emit('handUpdate', player.hand);
     });
+});
 
-    broadcastLobbyState(lobbyCode);
+// Runs a query on this worker and on every other one. Resolves with all answers, ours first.
+async function queryWorkers(eventName, ...args) {
+    const local = await clusterQueries[eventName](...args);
+    if (!clusterWorker) return [local];
+    const remote = await io.serverSideEmitWithAck(eventName, ...args);
+    return [local, ...remote];
 }
 
+// Every worker holds all profiles in memory and applies each change, only the first worker writes them to disk.
+const PROFILE_UPDATES = ['put', 'recordRoundWin', 'recordGame'];
+
+function updateProfiles(method, ...args) {
+    profileStore[method](...args);
+    if (clusterWorker) io.serverSideEmit('cluster:profiles', method, args);
+}
+
+io.on('cluster:profiles', (method, args) => {
+    if (PROFILE_UPDATES.includes(method)) profileStore[method](...args);
+});
+
+function markSocketDisconnected(socketId) {
+    for (const lobbyCode in lobbies) {
+        const player = getLobbyPlayer(lobbies[lobbyCode], socketId) || getLobbySpectator(lobbies[lobbyCode], socketId);
+        if (player) {
+            markPlayerDisconnected(lobbyCode, player);
+            break;
+        }
+    }
+}
 
 io.on('connection', (socket) => {
-    console.log('A user connected:', socket.id);
-    socket.emit('serverConfig', config); // Send config to client on connect
+    log.debug('Socket connected', { socketId: socket.id });
+    socket.emit('serverConfig', getPublicConfig(config)); // Send config to client on connect
+    const handshakeProfile = profileStore.getByToken(socket.handshake.auth?.profileToken);
+    socket.data.profileId = handshakeProfile?.id || null;
+    socket.emit('profileUpdate', handshakeProfile ? profileStore.toPublic(handshakeProfile) : null);
+    registerSocketHandlers(socket);
+});
+
+// Every game event of a socket. Also used for the stand-ins of sockets on other workers, see createRemoteSocket.
+function registerSocketHandlers(socket) {
+    const socketLog = log.child({ socketId: socket.id });
+    const allowEvent = createRateLimiter(RATE_LIMITS);
+    let lastRateLimitNotice = 0;
+
+    // Registers a handler for one of the events in socketEvents. The handler only runs for payloads that pass
+    // the event's schema and within the socket's rate limits, and always gets a callable callback. Rejections
+    // and exceptions are answered like any other failure: { success: false, code, params, message } for events that
+    // reply that way, gameError with the message for the rest (see lib/messages.js).
+    function on(eventName, handler) {
+        const spec = socketEvents[eventName];
+        socket.on(eventName, (...args) => {
+            // Forwarded events were already counted by the worker the socket is connected to
+            if (!socket.isRemote) socketEventsCounter.inc({ event: eventName });
+            const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+            const reply = callback || (() => {});
+            const reject = (message, notify = true) => {
+                if (callback && !spec.failureReply) return callback({ success: false, ...message });
+                if (notify) sendGameError(socket.id, message);
+                if (callback) callback(spec.failureReply);
+            };
+
+            if (!allowEvent(spec.rateLimit)) {
+                // Tell the client once a second at most, flooding it back helps nobody
+                const notify = Date.now() - lastRateLimitNotice > 1000;
+                if (notify) lastRateLimitNotice = Date.now();
+                return reject(serverMessage('rateLimited'), notify);
+            }
+
+            try {
+                if (!spec.payload) {
+                    handler(reply);
+                    return;
+                }
+                const { value, error } = validatePayload(spec.payload, args[0]);
+                if (error) return reject(error);
+                if (clusterWorker && !socket.isRemote && value.lobbyCode && !lobbies[value.lobbyCode]) {
+                    forwardLobbyEvent(socket, eventName, value).then(answer => {
+                        if (!answer) return handler(value, reply); // Nobody has the lobby, the handler says so
+                        if (answer.replyArgs) reply(...answer.replyArgs);
+                        if (answer.lobbyState) socket.emit('lobbyUpdate', answer.lobbyState);
+                    }).catch(err => {
+                        socketLog.error('Error forwarding an event', { eventName, err });
+                        reject(serverMessage('serverError'));
+                    });
+                    return;
+                }
+                handler(value, reply);
+            } catch (err) {
+                socketLog.error('Error handling an event', { eventName, err });
+                reject(serverMessage('serverError'));
+            }
+        });
+    }
 
-    socket.on('getPackList', async (callback) => {
+    function leaveLobby(lobbyCode) {
+        socket.leave(lobbyCode);
+        games[lobbyCode]?.leave(socket.id);
+    }
+
+    // One lobby per socket. A finished game is left automatically when the player moves on.
+    function checkCanEnterLobby() {
+        const currentLobbyCode = findSocketLobbyCode(socket.id);
+        if (!currentLobbyCode) return null;
+        if (lobbies[currentLobbyCode].gameState === 'gameOver') {
+            leaveLobby(currentLobbyCode);
+            return null;
+        }
+        return serverMessage('alreadyInLobby');
+    }
+
+    // Bans are checked against the clientId, a socket without one could get round them, so joining needs one.
+    function checkNotBanned(lobby) {
+        const clientId = getClientId(socket);
+        if (!clientId) return serverMessage('clientIdMissing');
+        if (isBanned(lobby, clientId)) return serverMessage('bannedFromLobby');
+        return null;
+    }
+
+    // Logged-in players always play under their profile name, and nobody else may take a claimed name.
+    function resolvePlayerName(requestedName) {
+        const profile = profileStore.getById(socket.data.profileId);
+        if (profile) return { name: profile.name };
+        if (profileStore.findByName(requestedName)) {
+            return { error: serverMessage('nameClaimed') };
+        }
+        return { name: requestedName };
+    }
+
+    on('claimProfile', async ({ name, secret }, callback) => {
+        try {
+            const { profile, token, error } = await profileStore.claim(name, secret);
+            if (error) return callback({ success: false, ...error });
+            socket.data.profileId = profile.id;
+            updateProfiles('put', profile);
+            callback({ success: true, token, profile: profileStore.toPublic(profile) });
+            socketLog.info('Logged in to their profile', { playerName: profile.name });
+        } catch (err) {
+            socketLog.error('Failed to claim a profile', { err });
+            callback({ success: false, ...serverMessage('serverError') });
+        }
+    });
+
+    on('logoutProfile', ({ token }) => {
+        const profile = profileStore.getByToken(token);
+        if (profile) {
+            profileStore.logout(profile, token);
+            updateProfiles('put', profile);
+        }
+        socket.data.profileId = null;
+    });
+
+    on('getPackList', ({ language }, callback) => {
         if (globalCAHDeck) {
-            callback(globalCAHDeck.listPacks());
+            callback(globalCAHDeck.listPacks({ language }));
         } else {
             callback([]);
         }
     });
 
-    socket.on('createLobby', ({ playerName, settings }, callback) => {
+    on('getHouseRules', (callback) => {
+        callback(listHouseRules());
+    });
+
+    on('getGameModes', (callback) => {
+        callback(listGameModes());
+    });
+
+    on('getBotStrategies', (callback) => {
+        callback(listBotStrategies());
+    });
+
+    on('createLobby', ({ playerName: requestedName, settings }, callback) => {
+        const blocked = checkCanEnterLobby() || (Object.keys(lobbies).length >= MAX_LOBBIES ? serverMessage('serverFull') : null);
+        if (blocked) {
+            return callback({ success: false, ...blocked });
+        }
+        const { name: playerName, error: nameError } = resolvePlayerName(requestedName);
+        if (nameError) {
+            return callback({ success: false, ...nameError });
+        }
         const lobbyCode = generateLobbyCode();
-        lobbies[lobbyCode] = {
-            code: lobbyCode,
-            players: [],
-            hostId: socket.id,
-            gameState: 'waiting',
-            settings: {
-                scoreToWin: settings?.scoreToWin || 7,
-                maxPlayers: settings?.maxPlayers || 10,
-                selectedPackIndexes: settings?.selectedPackIndexes || [0],
-                isPrivate: config.roomsFunctionality ? (settings?.isPrivate || false) : true
-            },
-            whiteDeck: [],
-            blackDeck: [],
-            whiteDiscard: [],
-            blackDiscard: [],
-            currentBlackCard: null,
-            czarId: null,
-            roundSubmissions: [],
-            roundWinnerInfo: null
-        };
+        const player = createPlayer(socket.id, playerName, getClientId(socket), socket.data.profileId);
+        const lobby = createLobbyState(lobbyCode, player, {
+            scoreToWin: settings?.scoreToWin || config.game.defaultScoreToWin,
+            maxPlayers: settings?.maxPlayers || config.game.defaultMaxPlayers,
+            selectedPackIndexes: [],
+            isPrivate: config.roomsFunctionality ? (settings?.isPrivate || false) : true,
+            // Time limits are in seconds, 0 turns the limit off
+            playTimeLimit: settings?.playTimeLimit ?? 90,
+            judgeTimeLimit: settings?.judgeTimeLimit ?? 60,
+            judgeTimeoutAction: settings?.judgeTimeoutAction === 'void' ? 'void' : 'random',
+            roundOverDelay: settings?.roundOverDelay ?? 5,
+            houseRules: settings?.houseRules ? sanitizeHouseRules(settings.houseRules) : ['drawExtra'],
+            gameMode: sanitizeGameMode(settings?.gameMode),
+            roundLimit: settings?.roundLimit ?? 10, // For the 'rounds' game mode
+            gameTimeLimit: settings?.gameTimeLimit ?? 20, // Minutes, for the 'timed' game mode
+            blockedCards: settings?.blockedCards || [],
+            blockedWords: settings?.blockedWords || [],
+            blockVotedCards: settings?.blockVotedCards ?? true, // Cards voted out in game stay out of later games
+            language: CAHDeck.normalizeLanguage(settings?.language) // What the lobby plays in, for the lobby list
+        });
+        lobby.settings.selectedPackIndexes = settings?.selectedPackIndexes ? sanitizePackIds(lobby, settings.selectedPackIndexes) : getDefaultPackIds();
+        lobbies[lobbyCode] = lobby;
+        const game = attachGame(lobby);
         socket.join(lobbyCode);
-        const player = { id: socket.id, name: playerName, score: 0, hand: [], submittedCards: null };
-        lobbies[lobbyCode].players.push(player);
-        
-        callback({ success: true, lobbyCode });
-        broadcastLobbyState(lobbyCode);
-        console.log(`Lobby ${lobbyCode} created by ${playerName}. Private: ${lobbies[lobbyCode].settings.isPrivate}`);
+
+        callback({ success: true, lobbyCode, sessionToken: player.sessionToken, playerName, warning: getPackWarning(lobby) });
+        sendChatHistory(socket.id, lobby);
+        game.changed();
+        socketLog.info('Lobby created', { lobbyCode, playerName, isPrivate: lobby.settings.isPrivate, gameMode: lobby.settings.gameMode, language: lobby.settings.language });
     });
 
-    socket.on('joinLobby', ({ lobbyCode, playerName }, callback) => {
+    on('joinLobby', ({ lobbyCode, playerName: requestedName }, callback) => {
         const lobby = lobbies[lobbyCode];
         if (!lobby) {
-            return callback({ success: false, message: 'Lobby not found.' });
+            return callback({ success: false, ...serverMessage('lobbyNotFound') });
+        }
+        const blocked = checkCanEnterLobby();
+        if (blocked) {
+            return callback({ success: false, ...blocked });
+        }
+        const banned = checkNotBanned(lobby);
+        if (banned) {
+            return callback({ success: false, ...banned });
+        }
+        if (lobby.locked) {
+            return callback({ success: false, ...serverMessage('lobbyLocked') });
+        }
+        if (getOpenSeats(lobby) <= 0) {
+            return callback({ success: false, ...serverMessage('lobbyFull') });
         }
-        if (lobby.players.length >= lobby.settings.maxPlayers) {
-            return callback({ success: false, message: 'Lobby is full.' });
+        if (lobby.gameState === 'gameOver') {
+             return callback({ success: false, ...serverMessage('gameAlreadyOver') });
         }
+        const { name: playerName, error: nameError } = resolvePlayerName(requestedName);
+        if (nameError) {
+            return callback({ success: false, ...nameError });
+        }
+        if (isNameTaken(lobby, playerName)) {
+            return callback({ success: false, ...serverMessage('nameTaken') });
+        }
+
+        socket.join(lobbyCode);
         if (lobby.gameState !== 'waiting') {
-             return callback({ success: false, message: 'Game has already started.' });
+            // Latecomers watch the current round and are dealt in when the next one starts
+            const spectator = createSpectator(socket.id, playerName, getClientId(socket), true, socket.data.profileId);
+            callback({ success: true, lobbyCode, playerName, sessionToken: spectator.sessionToken, spectating: true, joinNextRound: true, gameState: lobby.gameState, settings: lobby.settings, packList: globalCAHDeck.listPacks() });
+            sendChatHistory(socket.id, lobby);
+            games[lobbyCode].watch(spectator);
+            socketLog.info('Joined lobby mid-game, waiting for the next round', { lobbyCode, playerName });
+            return;
+        }
+
+        const player = createPlayer(socket.id, playerName, getClientId(socket), socket.data.profileId);
+        callback({ success: true, lobbyCode, playerName, sessionToken: player.sessionToken, gameState: lobby.gameState, settings: lobby.settings, packList: globalCAHDeck.listPacks() });
+        sendChatHistory(socket.id, lobby);
+        games[lobbyCode].join(player);
+        io.to(socket.id).emit('handUpdate', player.hand); 
+        socketLog.info('Joined lobby', { lobbyCode, playerName });
+    });
+
+    on('spectateLobby', ({ lobbyCode, playerName: requestedName }, callback) => {
+        const lobby = lobbies[lobbyCode];
+        if (!lobby) {
+            return callback({ success: false, ...serverMessage('lobbyNotFound') });
         }
-        if (!config.allowSameNames && lobby.players.some(p => p.name.toLowerCase() === playerName.toLowerCase())) {
-            return callback({ success: false, message: 'Player name already taken in this lobby.' });
+        const blocked = checkCanEnterLobby();
+        if (blocked) {
+            return callback({ success: false, ...blocked });
+        }
+        const banned = checkNotBanned(lobby);
+        if (banned) {
+            return callback({ success: false, ...banned });
+        }
+        if (lobby.locked) {
+            return callback({ success: false, ...serverMessage('lobbyLocked') });
+        }
+        const { name: playerName, error: nameError } = resolvePlayerName(requestedName);
+        if (nameError) {
+            return callback({ success: false, ...nameError });
+        }
+        if (isNameTaken(lobby, playerName)) {
+            return callback({ success: false, ...serverMessage('nameTaken') });
         }
 
+        socket.join(lobbyCode);
+        const spectator = createSpectator(socket.id, playerName, getClientId(socket), false, socket.data.profileId);
+        callback({ success: true, lobbyCode, playerName, sessionToken: spectator.sessionToken, spectating: true, gameState: lobby.gameState, settings: lobby.settings, packList: globalCAHDeck.listPacks() });
+        sendChatHistory(socket.id, lobby);
+        games[lobbyCode].watch(spectator);
+        socketLog.info('Spectating lobby', { lobbyCode, playerName });
+    });
 
+    on('joinNextRound', ({ lobbyCode, join = true }) => {
+        const error = games[lobbyCode]?.requestSeat(socket.id, join);
+        if (error) {
+            sendGameError(socket.id, error);
+        }
+    });
+    
+    on('rejoinLobby', ({ lobbyCode, sessionToken }, callback) => {
+        const lobby = lobbies[lobbyCode];
+        const seat = lobby ? games[lobbyCode].reconnect(sessionToken, socket.id) : null;
+        if (!seat) {
+            return callback({ success: false, ...serverMessage('seatGone') });
+        }
+        const { player, spectator, oldId } = seat;
+        clearDisconnectTimer((player || spectator).sessionToken);
+        if (oldId !== socket.id) io.in(oldId).socketsLeave(lobbyCode);
         socket.join(lobbyCode);
-        const player = { id: socket.id, name: playerName, score: 0, hand: [], submittedCards: null };
-        lobby.players.push(player);
-        
-        callback({ success: true, lobbyCode, settings: lobby.settings, packList: globalCAHDeck.listPacks() });
+
+        if (spectator) {
+            callback({ success: true, lobbyCode, playerName: spectator.name, spectating: true, gameState: lobby.gameState, settings: lobby.settings, packList: globalCAHDeck.listPacks() });
+            sendChatHistory(socket.id, lobby);
+            broadcastLobbyState(lobbyCode);
+            socketLog.info('Spectating lobby again', { lobbyCode, playerName: spectator.name });
+            return;
+        }
+
+        callback({
+            success: true,
+            lobbyCode,
+            playerName: player.name,
+            gameState: lobby.gameState,
+            settings: lobby.settings,
+            packList: globalCAHDeck.listPacks()
+        });
+        io.to(socket.id).emit('handUpdate', player.hand);
+        sendChatHistory(socket.id, lobby);
         broadcastLobbyState(lobbyCode);
-        io.to(socket.id).emit('handUpdate', player.hand); 
-        console.log(`${playerName} joined lobby ${lobbyCode}`);
+        socketLog.info('Rejoined lobby', { lobbyCode, playerName: player.name });
     });
-    
-    socket.on('getPublicLobbies', (callback) => {
+
+    on('leaveLobby', ({ lobbyCode }) => {
+        leaveLobby(lobbyCode);
+    });
+
+    on('getPublicLobbies', ({ language }, callback) => {
         if (!config.roomsFunctionality) {
-            console.log('Room functionality disabled, returning empty list for getPublicLobbies.');
+            socketLog.debug('Room functionality disabled, returning empty list for getPublicLobbies');
             return callback([]);
         }
-        const publicLobbies = Object.values(lobbies)
-            .filter(lobby =>
-                !lobby.settings.isPrivate &&
-                lobby.gameState === 'waiting' &&
-                lobby.players.length < lobby.settings.maxPlayers
-            )
-            .map(lobby => ({
-                code: lobby.code,
-                hostName: lobby.players.find(p => p.id === lobby.hostId)?.name || 'Unknown Host',
-                playerCount: lobby.players.length,
-                settings: { 
-                    maxPlayers: lobby.settings.maxPlayers,
-                    scoreToWin: lobby.settings.scoreToWin,
-                    selectedPackNames: lobby.settings.selectedPackIndexes
-                        .map(idx => globalCAHDeck.listPacks().find(p => p.id === idx)?.name || `Pack ${idx}`)
-                }
-            }));
-        callback(publicLobbies);
+        queryWorkers('cluster:publicLobbies', language)
+            .then(lists => callback(lists.filter(Boolean).flat()))
+            .catch(err => {
+                socketLog.error('Could not list the lobbies of every worker', { err });
+                callback(listPublicLobbies(language));
+            });
     });
 
-    socket.on('updateSettings', ({ lobbyCode, settings }) => {
+    on('updateSettings', ({ lobbyCode, settings }) => {
         const lobby = lobbies[lobbyCode];
         if (lobby && lobby.hostId === socket.id && lobby.gameState === 'waiting') {
-            // Make sure isPrivate can be updated if roomsFunctionality is on
-            if (config.roomsFunctionality && typeof settings.isPrivate === 'boolean') {
-                 lobby.settings.isPrivate = settings.isPrivate;
+            // Lobbies stay private when room listing is switched off
+            if (!config.roomsFunctionality) delete settings.isPrivate;
+            if (settings.maxPlayers !== undefined && settings.maxPlayers < lobby.players.length) {
+                sendGameError(socket.id, serverMessage('tooManyPlayersForLimit', { count: lobby.players.length }));
+                return;
             }
-            // other settings can be updated as before
+            // The schema only lets known settings through
             lobby.settings = { ...lobby.settings, ...settings };
+            if ('houseRules' in settings) lobby.settings.houseRules = sanitizeHouseRules(settings.houseRules);
+            if ('gameMode' in settings) lobby.settings.gameMode = sanitizeGameMode(settings.gameMode);
+            if ('language' in settings) lobby.settings.language = CAHDeck.normalizeLanguage(settings.language);
+            if ('selectedPackIndexes' in settings) lobby.settings.selectedPackIndexes = sanitizePackIds(lobby, settings.selectedPackIndexes);
             broadcastLobbyState(lobbyCode);
+            persistLobby(lobbyCode);
         }
     });
 
-    socket.on('startGame', ({ lobbyCode }) => {
+    on('addBot', ({ lobbyCode, strategy = 'random' }, callback) => {
         const lobby = lobbies[lobbyCode];
-        if (!lobby || lobby.hostId !== socket.id || lobby.gameState !== 'waiting') return;
-        if (lobby.players.length < 3) { 
-            io.to(socket.id).emit('gameError', 'Need at least 3 players to start.');
-            return;
+        if (!lobby || lobby.hostId !== socket.id) {
+            return callback({ success: false, ...serverMessage('botsHostOnly') });
+        }
+        if (lobby.gameState !== 'waiting') {
+            return callback({ success: false, ...serverMessage('botsBeforeStart') });
+        }
+        if (!getBotStrategy(strategy)) {
+            return callback({ success: false, ...serverMessage('unknownBotStrategy') });
+        }
+        if (getOpenSeats(lobby) <= 0) {
+            return callback({ success: false, ...serverMessage('lobbyFull') });
         }
 
-        const gameCards = globalCAHDeck.getPacks(lobby.settings.selectedPackIndexes);
-        lobby.whiteDeck = [...gameCards.white];
-        lobby.blackDeck = [...gameCards.black];
-        shuffleArray(lobby.whiteDeck);
-        shuffleArray(lobby.blackDeck);
-        lobby.whiteDiscard = [];
-        lobby.blackDiscard = [];
+        const bot = createBot(strategy, name => isNameTaken(lobby, name));
+        callback({ success: true, playerId: bot.id });
+        games[lobbyCode].join(bot);
+        socketLog.info('Added bot', { lobbyCode, playerName: bot.name, strategy: bot.botStrategy });
+    });
 
-        lobby.players.forEach(player => {
-            player.score = 0; 
-            player.hand = []; 
-            dealWhiteCards(lobby, player, MAX_HAND_SIZE);
-            io.to(player.id).emit('handUpdate', player.hand);
-        });
-        
-        lobby.czarId = lobby.players[0].id; 
-        startNextRound(lobbyCode); 
-        console.log(`Game started in lobby ${lobbyCode}`);
+    on('addCustomPack', ({ lobbyCode, format, data }, callback) => {
+        const lobby = lobbies[lobbyCode];
+        if (!lobby || lobby.hostId !== socket.id) {
+            return callback({ success: false, ...serverMessage('packsHostOnly') });
+        }
+        if (lobby.gameState !== 'waiting') {
+            return callback({ success: false, ...serverMessage('packsBeforeStart') });
+        }
+
+        const { packs, error } = parseCustomPackUpload(format, data);
+        if (error) {
+            return callback({ success: false, ...error });
+        }
+        if (lobby.customPacks.length + packs.length > MAX_CUSTOM_PACKS_PER_LOBBY) {
+            return callback({ success: false, ...serverMessage('tooManyCustomPacks', { max: MAX_CUSTOM_PACKS_PER_LOBBY }) });
+        }
+
+        const added = addCustomPacks(lobby, packs);
+        callback({ success: true, packIds: added.map(pack => pack.id) });
+        broadcastLobbyState(lobbyCode);
+        persistLobby(lobbyCode);
+        socketLog.info('Added custom packs', { lobbyCode, count: added.length });
+    });
+
+    on('removeCustomPack', ({ lobbyCode, packId }) => {
+        const lobby = lobbies[lobbyCode];
+        if (!lobby || lobby.hostId !== socket.id || lobby.gameState !== 'waiting') return;
+        lobby.customPacks = lobby.customPacks.filter(pack => pack.id !== packId);
+        lobby.settings.selectedPackIndexes = lobby.settings.selectedPackIndexes.filter(id => id !== packId);
+        broadcastLobbyState(lobbyCode);
+        persistLobby(lobbyCode);
     });
 
-    socket.on('submitCards', ({ lobbyCode, cardIds }) => {
+    on('exportCustomPack', ({ lobbyCode, packId }, callback) => {
         const lobby = lobbies[lobbyCode];
-        const player = getLobbyPlayer(lobby, socket.id);
+        const pack = lobby && getLobbyPlayer(lobby, socket.id) ? lobby.customPacks.find(p => p.id === packId) : undefined;
+        if (!pack) {
+            return callback({ success: false, ...serverMessage('packNotFound') });
+        }
+        callback({ success: true, fileName: `${pack.name.replace(/[^a-z0-9-_]+/gi, '_')}.json`, pack: CAHDeck.toCompactJSON([pack]) });
+    });
 
-        if (!lobby || !player || lobby.gameState !== 'playing' || player.id === lobby.czarId || player.submittedCards) return;
-        
-        const submittedCardsObjects = [];
-        const pickCount = lobby.currentBlackCard.pick || 1;
+    on('startGame', ({ lobbyCode }) => {
+        const lobby = lobbies[lobbyCode];
+        if (!lobby || lobby.hostId !== socket.id || lobby.gameState !== 'waiting') return;
 
-        if (!Array.isArray(cardIds) || cardIds.length !== pickCount) {
-            io.to(socket.id).emit('gameError', `Invalid submission. This card requires ${pickCount} card(s).`);
+        const error = games[lobbyCode].start(buildLobbyCards(lobby));
+        if (error) {
+            sendGameError(socket.id, error);
             return;
         }
-        
-        for (const cardId of cardIds) {
-            const cardIndex = player.hand.findIndex(c => c.id === cardId);
-            if (cardIndex === -1) {
-                io.to(socket.id).emit('gameError', 'Invalid card submitted.');
-                return; 
-            }
-            submittedCardsObjects.push(player.hand[cardIndex]);
-        }
+        gamesStartedCounter.inc({ mode: sanitizeGameMode(lobby.settings.gameMode) });
+        socketLog.info('Game started', { lobbyCode, players: lobby.players.length, gameMode: lobby.settings.gameMode });
+    });
 
-        player.submittedCards = submittedCardsObjects;
-        player.hand = player.hand.filter(card => !cardIds.includes(card.id));
-        io.to(socket.id).emit('handUpdate', player.hand);
+    on('submitCards', ({ lobbyCode, cardIds }) => {
+        const error = games[lobbyCode]?.submit(socket.id, cardIds);
+        if (error) {
+            sendGameError(socket.id, error);
+        }
+    });
 
-        lobby.roundSubmissions.push({ playerId: player.id, playerName: player.name, cards: submittedCardsObjects });
-        
-        broadcastLobbyState(lobbyCode); 
+    on('selectWinner', ({ lobbyCode, submissionId }) => {
+        games[lobbyCode]?.selectWinner(socket.id, submissionId);
+    });
+    
+    on('voteRemoveCard', ({ lobbyCode, cardId }) => {
+        const error = games[lobbyCode]?.voteRemoveCard(socket.id, cardId);
+        if (error) {
+            sendGameError(socket.id, error);
+        }
+    });
 
-        const nonCzars = lobby.players.filter(p => p.id !== lobby.czarId);
-        if (lobby.roundSubmissions.length === nonCzars.length) {
-            lobby.gameState = 'judging';
-            shuffleArray(lobby.roundSubmissions); 
-            broadcastLobbyState(lobbyCode); 
+    on('houseRuleAction', ({ lobbyCode, ruleId, action, data }) => {
+        const error = games[lobbyCode]?.houseRuleAction(socket.id, ruleId, action, data);
+        if (error) {
+            sendGameError(socket.id, error);
         }
     });
 
-    socket.on('selectWinner', ({ lobbyCode, winningPlayerId }) => {
+    on('chatMessage', ({ lobbyCode, text }) => {
         const lobby = lobbies[lobbyCode];
-        const czar = getLobbyPlayer(lobby, socket.id);
+        const player = lobby && getLobbyPlayer(lobby, socket.id);
+        const sender = player || (lobby && getLobbySpectator(lobby, socket.id));
+        if (!sender) return;
 
-        if (!lobby || !czar || lobby.gameState !== 'judging' || czar.id !== lobby.czarId) return;
+        const result = moderateChatMessage(text);
+        if (result.error) {
+            sendGameError(socket.id, result.error);
+            return;
+        }
+        addChatEntry(lobbyCode, { type: 'chat', name: sender.name, isSpectator: !player, text: result.text });
+    });
 
-        const winningSubmission = lobby.roundSubmissions.find(sub => sub.playerId === winningPlayerId);
-        if (!winningSubmission) return;
+    // --- Host moderation ---
+    function getHostedLobby(lobbyCode) {
+        const lobby = lobbies[lobbyCode];
+        if (!lobby || lobby.hostId !== socket.id) {
+            sendGameError(socket.id, serverMessage('hostOnly'));
+            return null;
+        }
+        return lobby;
+    }
 
-        const winner = getLobbyPlayer(lobby, winningPlayerId);
-        winner.score++;
-        lobby.roundWinnerInfo = {
-            winnerName: winner.name,
-            winningCardsText: winningSubmission.cards.map(c => c.text),
-            blackCardText: lobby.currentBlackCard.text
-        };
-        
-        lobby.roundSubmissions.forEach(sub => {
-            lobby.whiteDiscard.push(...sub.cards);
+    on('kickPlayer', ({ lobbyCode, playerId, ban }) => {
+        const lobby = getHostedLobby(lobbyCode);
+        if (!lobby) return;
+        const target = getLobbyPlayer(lobby, playerId) || getLobbySpectator(lobby, playerId);
+        if (!target || target.id === socket.id) {
+            sendGameError(socket.id, serverMessage('playerNotInLobby'));
+            return;
+        }
+
+        if (ban && !target.isBot) {
+            lobby.bans.push({ id: crypto.randomBytes(4).toString('hex'), name: target.name, clientId: target.clientId });
+        }
+        io.to(target.id).emit('kicked', {
+            lobbyCode,
+            banned: !!ban,
+            ...serverMessage(ban ? 'banned' : 'kicked')
         });
+        io.in(target.id).socketsLeave(lobbyCode);
+        const leaveMessage = serverMessage(ban ? 'playerBanned' : 'playerKicked', { name: target.name });
+        socketLog.info(ban ? 'Banned from lobby' : 'Kicked from lobby', { lobbyCode, playerName: target.name });
+        games[lobbyCode].leave(target.id, leaveMessage);
+    });
 
-        if (winner.score >= lobby.settings.scoreToWin) {
-            lobby.gameState = 'gameOver';
-            io.to(lobbyCode).emit('gameOver', { winnerName: winner.name, players: lobby.players });
-            broadcastLobbyState(lobbyCode);
-        } else {
-            lobby.gameState = 'roundOver';
-            broadcastLobbyState(lobbyCode);
-            setTimeout(() => {
-                if (lobbies[lobbyCode] && lobbies[lobbyCode].gameState === 'roundOver' && lobbies[lobbyCode].gameState !== 'gameOver') { 
-                    startNextRound(lobbyCode);
-                }
-            }, 5000); 
+    on('unbanPlayer', ({ lobbyCode, banId }) => {
+        const lobby = getHostedLobby(lobbyCode);
+        if (!lobby) return;
+        lobby.bans = lobby.bans.filter(ban => ban.id !== banId);
+        broadcastLobbyState(lobbyCode);
+        persistLobby(lobbyCode);
+    });
+
+    on('transferHost', ({ lobbyCode, playerId }) => {
+        const lobby = getHostedLobby(lobbyCode);
+        if (!lobby) return;
+        const newHost = getLobbyPlayer(lobby, playerId);
+        if (!newHost || newHost.isBot || newHost.id === socket.id) {
+            sendGameError(socket.id, serverMessage('hostTransferInvalid'));
+            return;
         }
+        lobby.hostId = newHost.id;
+        sendSystemMessage(lobbyCode, serverMessage('newHost', { name: newHost.name }));
+        broadcastLobbyState(lobbyCode);
+        persistLobby(lobbyCode);
     });
-    
-    socket.on('requestNextRound', ({ lobbyCode }) => {
+
+    // A locked lobby takes no new players or spectators, people already in it can still reconnect.
+    on('setLobbyLocked', ({ lobbyCode, locked }) => {
+        const lobby = getHostedLobby(lobbyCode);
+        if (!lobby) return;
+        lobby.locked = locked;
+        sendSystemMessage(lobbyCode, serverMessage(locked ? 'lobbyLockedByHost' : 'lobbyUnlockedByHost'));
+        broadcastLobbyState(lobbyCode);
+        persistLobby(lobbyCode);
+    });
+
+    on('skipBlackCard', ({ lobbyCode }) => {
+        const lobby = getHostedLobby(lobbyCode);
+        if (!lobby) return;
+        const error = games[lobbyCode].skipBlackCard();
+        if (error) {
+            sendGameError(socket.id, error);
+        }
+    });
+
+    on('endGame', ({ lobbyCode }) => {
+        const lobby = getHostedLobby(lobbyCode);
+        if (!lobby) return;
+        const error = games[lobbyCode].endEarly();
+        if (error) {
+            sendGameError(socket.id, error);
+            return;
+        }
+        socketLog.info('The host ended the game', { lobbyCode });
+    });
+
+    // Only the host skips the rest of roundOverDelay, the engine ignores it outside of roundOver
+    on('requestNextRound', ({ lobbyCode }) => {
         const lobby = lobbies[lobbyCode];
-        if (lobby && (lobby.hostId === socket.id || lobby.gameState === 'roundOver') && lobby.gameState !== 'gameOver') {
-            startNextRound(lobbyCode);
-        }
-    });
-
-
-    socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
-        for (const lobbyCode in lobbies) {
-            const lobby = lobbies[lobbyCode];
-            const playerIndex = lobby.players.findIndex(p => p.id === socket.id);
-            if (playerIndex !== -1) {
-                const disconnectedPlayerName = lobby.players[playerIndex].name;
-                lobby.players.splice(playerIndex, 1);
-                console.log(`${disconnectedPlayerName} left lobby ${lobbyCode}`);
-
-                if (lobby.players.length === 0) {
-                    console.log(`Lobby ${lobbyCode} is empty, deleting.`);
-                    delete lobbies[lobbyCode];
-                } else {
-                    if (lobby.hostId === socket.id) {
-                        lobby.hostId = lobby.players[0].id;
-                        console.log(`New host for ${lobbyCode} is ${lobby.players[0].name}`);
-                    }
-                    if (lobby.gameState !== 'waiting' && lobby.gameState !== 'gameOver') {
-                        if (lobby.czarId === socket.id) {
-                            io.to(lobbyCode).emit('gameMessage', `${disconnectedPlayerName} (Czar) disconnected. Starting new round.`);
-                            startNextRound(lobbyCode); 
-                        } else if (lobby.players.length < 3 && lobby.gameState !== 'waiting') {
-                            lobby.gameState = 'gameOver';
-                             io.to(lobbyCode).emit('gameOver', { message: "Not enough players to continue.", players: lobby.players });
-                        }
-                    }
-                    broadcastLobbyState(lobbyCode);
-                }
-                break;
-            }
+        if (lobby && lobby.hostId === socket.id) {
+            games[lobbyCode].nextRound();
         }
     });
+
+
+    socket.on('disconnect', reason => {
+        socketLog.debug('Socket disconnected', { reason });
+        markSocketDisconnected(socket.id);
+        if (clusterWorker) io.serverSideEmit('cluster:socketDisconnected', socket.id);
+    });
+}
+
+// --- Operator tools ---
+function summarizeLobby(lobby) {
+    const humans = lobby.players.filter(p => !p.isBot);
+    return {
+        code: lobby.code,
+        gameState: lobby.gameState,
+        gameMode: describeGameMode(lobby.settings).id,
+        isPrivate: lobby.settings.isPrivate,
+        locked: !!lobby.locked,
+        hostName: getLobbyPlayer(lobby, lobby.hostId)?.name || null,
+        players: lobby.players.length,
+        connectedPlayers: humans.filter(p => p.connected).length,
+        bots: lobby.players.length - humans.length,
+        spectators: lobby.spectators.length,
+        roundsPlayed: lobby.gameRecord?.rounds.length ?? null,
+        packs: lobby.settings.selectedPackIndexes.map(packId => ({ id: packId, name: getPackName(lobby, packId) }))
+    };
+}
+
+function describeLobby(code) {
+    const lobby = lobbies[code];
+    if (!lobby) return null;
+    return {
+        ...summarizeLobby(lobby),
+        settings: lobby.settings,
+        customPacks: listCustomPacks(lobby),
+        players: lobby.players.map(p => ({
+            name: p.name,
+            score: p.score,
+            connected: p.connected,
+            isBot: !!p.isBot,
+            isHost: p.id === lobby.hostId,
+            isCzar: p.id === lobby.czarId
+        })),
+        spectators: lobby.spectators.map(s => ({ name: s.name, connected: s.connected, joinNextRound: !!s.joinNextRound }))
+    };
+}
+
+// Counts for the lobbies of this worker. Every field is a number or a map of numbers, so the counts of all
+// workers simply add up.
+function countLobbyStats() {
+    const allLobbies = Object.values(lobbies);
+    const packUsage = {};
+    allLobbies.forEach(lobby => lobby.settings.selectedPackIndexes.forEach(packId => {
+        if (isCustomPackId(packId)) return; // Custom pack ids only mean something inside their lobby
+        packUsage[packId] = (packUsage[packId] || 0) + 1;
+    }));
+    const players = allLobbies.flatMap(lobby => lobby.players);
+    const byState = {};
+    allLobbies.forEach(lobby => { byState[lobby.gameState] = (byState[lobby.gameState] || 0) + 1; });
+    return {
+        connectedSockets: io.engine.clientsCount,
+        lobbies: allLobbies.length,
+        lobbiesByState: byState,
+        players: players.filter(p => !p.isBot).length,
+        connectedPlayers: players.filter(p => !p.isBot && p.connected).length,
+        bots: players.filter(p => p.isBot).length,
+        spectators: allLobbies.reduce((sum, lobby) => sum + lobby.spectators.length, 0),
+        packUsage
+    };
+}
+
+function addCounts(total, counts) {
+    for (const key in counts) {
+        if (typeof counts[key] === 'number') total[key] = (total[key] || 0) + counts[key];
+        else total[key] = addCounts(total[key] || {}, counts[key]);
+    }
+    return total;
+}
+
+const adminApi = {
+    getToken: () => config.adminToken,
+    listLobbies: async () => (await queryWorkers('cluster:listLobbies')).filter(Boolean).flat(),
+    getLobby: async code => (await queryWorkers('cluster:getLobby', code)).find(Boolean) || null,
+    getStats: async () => {
+        const counts = (await queryWorkers('cluster:stats')).filter(Boolean).reduce(addCounts, {});
+        return {
+            ...counts,
+            uptimeSeconds: Math.round(process.uptime()),
+            workers: clusterWorker ? clusterWorker.count : 1,
+            packsLoaded: globalCAHDeck ? globalCAHDeck.listPacks().length : 0,
+            packUsage: Object.entries(counts.packUsage || {})
+                .map(([id, count]) => ({ id, name: globalCAHDeck?.getPack(id)?.name || id, lobbies: count }))
+                .sort((a, b) => b.lobbies - a.lobbies)
+        };
+    },
+    closeLobby: async (code, message) => (await queryWorkers('cluster:closeLobby', code, message)).some(Boolean),
+    announce: message => {
+        io.emit('announcement', { message });
+        log.info('Announcement sent', { message });
+    },
+    reloadConfig: () => queryWorkers('cluster:reloadConfig'),
+    reloadPacks: () => queryWorkers('cluster:reloadPacks')
+};
+
+app.use('/api/admin', createAdminRouter(adminApi));
+
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+app.get('/healthz', (req, res) => {
+    const ready = !!globalCAHDeck && serverReady;
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ok' : 'starting',
+        uptimeSeconds: Math.round(process.uptime()),
+        lobbies: Object.keys(lobbies).length
+    });
+});
+
+app.get('/metrics', async (req, res) => {
+    try {
+        const snapshots = await queryWorkers('cluster:metrics');
+        res.type('text/plain; version=0.0.4').send(renderMetrics(mergeSnapshots(snapshots.filter(Boolean))));
+    } catch (err) {
+        log.error('Could not collect metrics', { err });
+        res.status(500).type('text/plain').send('Could not collect metrics\n');
+    }
 });
 
 app.use(express.static(path.join(__dirname, 'public')));
@@ -547,43 +1426,192 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-async function loadConfig() {
+// Error body of the player facing API: the English text plus its message code for translation
+function apiError(res, status, code, params) {
+    const { message, params: messageParams } = serverMessage(code, params);
+    return res.status(status).json({ error: message, code, params: messageParams });
+}
+
+// Recap of a finished game. ?format=markdown for Markdown instead of JSON, ?download to save it as a file.
+app.get('/api/games/:id', async (req, res) => {
+    let record;
+    try {
+        record = (await queryWorkers('cluster:gameRecord', req.params.id)).find(Boolean);
+    } catch (err) {
+        log.error('Could not look up game', { gameId: req.params.id, err });
+        return apiError(res, 500, 'gameLoadFailed');
+    }
+    if (!record) {
+        return apiError(res, 404, 'gameNotFound', { hours: config.gameHistory.retentionHours });
+    }
+    const markdown = req.query.format === 'markdown' || req.query.format === 'md';
+    if (req.query.download !== undefined) res.attachment(`game-${record.id}.${markdown ? 'md' : 'json'}`);
+    if (markdown) return res.type('text/markdown').send(gameRecordToMarkdown(record));
+    res.json(record);
+});
+
+// Public stats of a claimed name
+app.get('/api/profiles/:name', (req, res) => {
+    const profile = profileStore.findByName(req.params.name);
+    if (!profile) return apiError(res, 404, 'profileNotFound');
+    res.json(profileStore.toPublic(profile));
+});
+
+// ?sort=gamesWon|roundsWon|gamesPlayed, ?limit=1..100
+app.get('/api/leaderboard', (req, res) => {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    res.json(profileStore.leaderboard(req.query.sort, limit));
+});
+
+// Which packs have cards containing every word of ?q, most matches first
+app.get('/api/cards/search', (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (query.length < 2 || query.length > MAX_CARD_SEARCH_LENGTH) {
+        return apiError(res, 400, 'searchLength', { max: MAX_CARD_SEARCH_LENGTH });
+    }
+    res.json({ query, packs: globalCAHDeck.searchCards(query) });
+});
+
+app.get('/api/packs/presets', (req, res) => {
+    res.json(listPackPresets());
+});
+
+// The pack ids a preset selects. ?exclude leaves out packs with a card matching it, like /api/cards/search.
+app.get('/api/packs/presets/:id', (req, res) => {
+    const exclude = typeof req.query.exclude === 'string' ? req.query.exclude.trim().substring(0, MAX_CARD_SEARCH_LENGTH) : '';
+    const packIds = resolvePackPreset(globalCAHDeck, req.params.id, { exclude });
+    if (!packIds) return apiError(res, 404, 'unknownPreset');
+    res.json({ packIds });
+});
+
+// A few random cards of a pack, ?count=1..20 of each color
+app.get('/api/packs/:id/preview', (req, res) => {
+    const count = Math.min(MAX_PACK_PREVIEW_CARDS, Math.max(1, parseInt(req.query.count, 10) || 5));
+    const preview = globalCAHDeck.samplePack(req.params.id, count);
+    if (!preview) return apiError(res, 404, 'packNotFound');
+    res.json(preview);
+});
+
+// Shareable "best of the night" page, it loads the recap from the route above.
+app.get('/games/:id', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'recap.html'));
+});
+
+// config.json with environment variables and command line flags on top, see lib/config.js.
+// Throws with every bad value listed rather than running with a config nobody asked for.
+async function readConfig() {
+    let fileValues;
     try {
-        const configPath = path.join(__dirname, 'config.json');
-        const configFile = await fs.readFile(configPath, 'utf-8');
-        const loadedConfig = JSON.parse(configFile);
-        config = { ...config, ...loadedConfig }; 
-        console.log("Configuration loaded:", config);
+        fileValues = JSON.parse(await fs.readFile(CONFIG_FILE, 'utf-8'));
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.warn("config.json not found, creating with default values.");
-            await fs.writeFile(path.join(__dirname, 'config.json'), JSON.stringify(config, null, 2));
-        } else {
-            console.error("Error loading config.json, using default values:", error);
-        }
+        if (error.code !== 'ENOENT') throw Error(`Could not read config.json: ${error.message}`);
+        log.warn('config.json not found, creating with default values');
+        fileValues = defaultConfig();
+        await fs.writeFile(CONFIG_FILE, JSON.stringify(fileValues, null, 2));
     }
+    const { config: resolved, errors, warnings } = resolveConfig(fileValues, { env: process.env, argv: process.argv.slice(2) });
+    warnings.forEach(warning => log.warn('Configuration warning', { warning }));
+    if (errors.length > 0) throw Error(`Invalid configuration: ${errors.join(' ')}`);
+    return resolved;
+}
+
+async function loadConfig() {
+    config = await readConfig();
+    configureLogger({ level: config.logging.level });
+    log.info('Configuration loaded', { config: { ...config, adminToken: config.adminToken ? '(set)' : '' } });
+}
+
+// Re-reads the config while the server runs, a bad value keeps the running config. Chat filter, room listing,
+// name rules, bot speed, history retention, logging and the admin token apply straight away; banned cards, game
+// options and the deck file from the next game, lobby or pack reload on; the port, storage, workers and the
+// pack and profile locations only change on a restart.
+async function reloadConfig() {
+    config = await readConfig();
+    configureWordFilter(config.chatFilter);
+    configureMinPlayers(config.game.minPlayers);
+    configureLogger({ level: config.logging.level });
+    gameHistory.retentionMs = config.gameHistory.retentionHours * 60 * 60 * 1000;
+    io.local.emit('serverConfig', getPublicConfig(config)); // Every worker reloads and tells its own sockets
+    log.info('Configuration reloaded');
 }
 
 async function main() {
+    if (process.argv.includes('--help')) {
+        process.stdout.write(formatHelp());
+        return;
+    }
     try {
         await loadConfig(); // Load config first
+    } catch (error) {
+        log.error('Could not load the configuration', { error: error.message });
+        process.exit(1);
+    }
+    try {
+        if (isPrimary(config.cluster.workers)) {
+            startPrimary({
+                workers: config.cluster.workers,
+                port: config.port,
+                onListening: () => {
+                    log.info('Server listening', { port: config.port, workers: config.cluster.workers, url: `http://localhost:${config.port}` });
+                }
+            });
+            return;
+        }
+        if (clusterWorker) io.adapter(createProcessAdapter());
+        configureWordFilter(config.chatFilter);
+        configureMinPlayers(config.game.minPlayers);
+
+        lobbyStore = createLobbyStore(config.storage, __dirname);
+        gameHistory = new GameHistory({
+            directory: config.gameHistory.path ? path.resolve(__dirname, config.gameHistory.path) : null,
+            retentionMs: config.gameHistory.retentionHours * 60 * 60 * 1000
+        });
+        try {
+            await gameHistory.load();
+        } catch (error) {
+            log.error('Could not load the game history', { err: error });
+        }
+        profileStore = new ProfileStore(config.profiles.path ? path.resolve(__dirname, config.profiles.path) : null, {
+            persist: !clusterWorker || clusterWorker.index === 0
+        });
+        try {
+            await profileStore.load();
+        } catch (error) {
+            log.error('Could not load player profiles', { err: error });
+        }
+        setInterval(() => {
+            gameHistory.prune().catch(err => log.error('Failed to prune the game history', { err }));
+        }, 60 * 60 * 1000).unref();
 
-        globalCAHDeck = await CAHDeck.fromCompact(path.join(__dirname, 'cards.json'));
-        console.log("Card deck loaded successfully.");
+        await fs.mkdir(getPacksDirectory(), { recursive: true });
+        globalCAHDeck = await loadGlobalDeck();
         const packs = globalCAHDeck.listPacks();
         if (!packs || packs.length === 0) {
-            console.error("No packs found in cards.json or deck not loaded correctly! Please check cards.json structure.");
+            log.error('No packs found in the deck file or the packs directory, please check their structure', { deckFile: config.deckFile });
         } else {
-            console.log(`Found ${packs.length} pack(s).`);
+            log.info('Card deck loaded', { packs: packs.length });
+        }
+        // Saved lobbies are checked against the packs, so they are restored once those are loaded
+        try {
+            await restoreLobbies();
+        } catch (error) {
+            log.error('Could not restore saved lobbies, starting with none', { err: error });
         }
+        if (config.watchPacks) watchPacks();
 
-        server.listen(PORT, () => {
-            console.log(`Server listening on port ${PORT}`);
-            console.log(`Access game at http://localhost:${PORT}`);
-        });
+        if (clusterWorker) {
+            acceptConnections(server);
+            serverReady = true;
+            log.info('Worker ready');
+        } else {
+            server.listen(config.port, () => {
+                serverReady = true;
+                log.info('Server listening', { port: config.port, url: `http://localhost:${config.port}` });
+            });
+        }
 
     } catch (error) {
-        console.error("Failed to initialize server:", error);
+        log.error('Failed to initialize server', { err: error });
         process.exit(1);
     }
 }
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, createPlayer, getLobbyPlayer } = require('../lib/game');
+const { createBot, playBotTurn } = require('../lib/bots');
+const { makeCards, makeLobby } = require('./helpers');
+
+// A lobby of bots only, one per strategy id given
+function makeBotGame(strategyIds) {
+    const bots = [];
+    const isNameTaken = name => bots.some(bot => bot.name === name);
+    strategyIds.forEach(strategyId => bots.push(createBot(strategyId, isNameTaken)));
+    const lobby = makeLobby('BOTS1', bots[0]);
+    const game = new Game(lobby, { handSize: 5 });
+    bots.slice(1).forEach(bot => game.join(bot));
+    return { game, lobby, bots };
+}
+
+describe('createBot', () => {
+    it('names bots after their strategy and numbers the ones that would share a name', () => {
+        const { bots } = makeBotGame(['random', 'random', 'wordplay']);
+        assert.deepEqual(bots.map(bot => bot.name), ['Random Bot', 'Random Bot 2', 'Wordplay Bot']);
+        assert.ok(bots.every(bot => bot.isBot && bot.id.startsWith('bot-')));
+    });
+});
+
+describe('playBotTurn', () => {
+    it('plays a whole game between bots', () => {
+        const { game, lobby } = makeBotGame(['random', 'wordplay', 'random', 'wordplay']);
+        let gameOver = null;
+        game.on('gameOver', result => { gameOver = result; });
+        assert.equal(game.start(makeCards(100, 30, { mixedPicks: true })), null);
+
+        for (let moves = 0; lobby.gameState !== 'gameOver'; moves++) {
+            assert.ok(moves < 500, 'the game should be over by now');
+            if (lobby.gameState === 'roundOver') game.nextRound();
+            else assert.equal(playBotTurn(game), true, `a bot should have something to do in ${lobby.gameState}`);
+        }
+
+        assert.equal(gameOver.winner.score, 3);
+        assert.equal(lobby.players.reduce((sum, player) => sum + player.score, 0), lobby.roundsPlayed);
+    });
+
+    it('leaves the rest of the round to the humans', () => {
+        const { game, lobby, bots } = makeBotGame(['random', 'random']);
+        game.join(createPlayer('A', 'A'));
+        game.start(makeCards(40, 5, { mixedPicks: true }));
+
+        let moves = 0;
+        while (playBotTurn(game)) moves++;
+        const human = getLobbyPlayer(lobby, 'A');
+        if (lobby.czarId === human.id) {
+            assert.equal(moves, 2);
+            assert.equal(lobby.gameState, 'judging');
+        } else {
+            assert.equal(moves, 1);
+            assert.equal(lobby.gameState, 'playing');
+            assert.equal(human.submittedCards, null);
+        }
+        assert.ok(bots.every(bot => bot.id === lobby.czarId || bot.submittedCards));
+    });
+});
@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCardFilter, filterCards } = require('../lib/cardFilter');
+
+const cards = {
+    white: [
+        { id: 'w0', text: 'Bees?' },
+        { id: 'w1', text: 'A <i>sassy</i> llama.' },
+        { id: 'w2', text: 'Llamas in pajamas.' },
+        { id: 'w3', text: 'The printer.' }
+    ],
+    black: [
+        { id: 'b0', text: 'What would the llama do? _', pick: 1 },
+        { id: 'b1', text: 'Why is the printer sad? _', pick: 1 }
+    ]
+};
+
+describe('card filter', () => {
+    it('filters nothing without any lists', () => {
+        assert.equal(createCardFilter({}), null);
+        assert.deepEqual(filterCards(cards, {}), { ...cards, removed: 0 });
+    });
+
+    it('leaves out blocked and banned cards by text, ignoring case, markup and spacing', () => {
+        const result = filterCards(cards, { bannedCards: ['bees?'], blockedCards: ['a sassy   LLAMA.'] });
+        assert.deepEqual(result.white.map(card => card.id), ['w2', 'w3']);
+        assert.equal(result.black.length, 2);
+        assert.equal(result.removed, 2);
+    });
+
+    it('leaves out cards with a blocked word, matching whole words only', () => {
+        const result = filterCards(cards, { blockedWords: ['llama', 'PRINTER'] });
+        assert.deepEqual(result.white.map(card => card.id), ['w0', 'w2']);
+        assert.deepEqual(result.black, []);
+    });
+});
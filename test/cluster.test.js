@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+const { ownerIndexFor, addressIndexFor } = require('../lib/cluster');
+
+const WORKERS = 2;
+const TIMEOUT_MS = 10000;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+// Resolves once every worker logged that it is ready
+function startServer(port) {
+    const server = spawn(process.execPath, ['server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            PORT: String(port),
+            CAH_CLUSTER_WORKERS: String(WORKERS),
+            CAH_STORAGE_TYPE: 'memory',
+            CAH_GAME_HISTORY_PATH: 'null',
+            CAH_PROFILES_PATH: 'null',
+            CAH_WATCH_PACKS: 'false'
+        },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    const ready = new Promise((resolve, reject) => {
+        let readyWorkers = 0;
+        let buffered = '';
+        server.stdout.on('data', chunk => {
+            buffered += chunk;
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.forEach(line => {
+                if (line.includes('"msg":"Worker ready"') && ++readyWorkers === WORKERS) resolve();
+            });
+        });
+        server.on('exit', code => reject(Error(`Server exited with ${code} before its workers were ready`)));
+    });
+    return { server, ready };
+}
+
+// The primary picks a worker by the client's address, so clients bound to different loopback addresses can be
+// sent to different workers. Returns a local address for each worker index.
+function addressesByWorker() {
+    const addresses = [];
+    for (let i = 1; addresses.filter(Boolean).length < WORKERS; i++) {
+        const address = `127.0.0.${i}`;
+        const index = addressIndexFor(`::ffff:${address}`, WORKERS);
+        if (!addresses[index]) addresses[index] = address;
+    }
+    return addresses;
+}
+
+function withTimeout(promise, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Error(`Timed out waiting for ${what}`)), TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function emit(socket, eventName, payload) {
+    return withTimeout(new Promise(resolve => socket.emit(eventName, payload, resolve)), eventName);
+}
+
+// Resolves with the first lobbyUpdate that passes the check
+function waitForState(socket, check) {
+    return withTimeout(new Promise(resolve => {
+        const onUpdate = state => {
+            if (!check(state)) return;
+            socket.off('lobbyUpdate', onUpdate);
+            resolve(state);
+        };
+        socket.on('lobbyUpdate', onUpdate);
+    }), 'a lobby update');
+}
+
+describe('several worker processes', () => {
+    let server;
+    let port;
+    const clients = [];
+    const addresses = addressesByWorker();
+
+    function client(workerIndex) {
+        const socket = connect(`http://127.0.0.1:${port}`, {
+            transports: ['websocket'],
+            localAddress: addresses[workerIndex],
+            auth: { clientId: `client-${clients.length}` },
+            reconnection: false
+        });
+        clients.push(socket);
+        return withTimeout(new Promise(resolve => socket.once('connect', () => resolve(socket))), 'a connection');
+    }
+
+    before(async () => {
+        port = await getFreePort();
+        const started = startServer(port);
+        server = started.server;
+        await withTimeout(started.ready, 'the workers');
+    });
+
+    after(() => {
+        clients.forEach(socket => socket.close());
+        server?.kill('SIGTERM');
+    });
+
+    it('creates lobbies on the worker of the player who opened them', async () => {
+        for (let index = 0; index < WORKERS; index++) {
+            const host = await client(index);
+            const created = await emit(host, 'createLobby', { playerName: `Host ${index}` });
+            assert.equal(created.success, true);
+            assert.equal(ownerIndexFor(created.lobbyCode, WORKERS), index);
+            host.emit('leaveLobby', { lobbyCode: created.lobbyCode });
+        }
+    });
+
+    it('forwards the events of players on other workers to the lobby owner', async () => {
+        const host = await client(0);
+        const guests = [await client(1), await client(1)];
+        const { lobbyCode } = await emit(host, 'createLobby', { playerName: 'Ann' });
+
+        for (const [i, guest] of guests.entries()) {
+            assert.equal((await emit(guest, 'joinLobby', { lobbyCode, playerName: `Guest ${i}` })).success, true);
+        }
+
+        const playing = waitForState(host, state => state.gameState === 'playing');
+        // Joining sends an empty hand, which may only arrive now
+        const hands = guests.map(guest => withTimeout(new Promise(resolve => {
+            guest.on('handUpdate', hand => hand.length > 0 && resolve(hand));
+        }), 'a hand'));
+        host.emit('startGame', { lobbyCode });
+        const state = await playing;
+        assert.deepEqual(state.players.map(p => p.name), ['Ann', 'Guest 0', 'Guest 1']);
+
+        // A guest who isn't judging plays their cards, the owner's state shows it to the host on the other worker
+        const guestIndex = guests.findIndex(guest => guest.id !== state.czarId);
+        const hand = (await Promise.all(hands))[guestIndex];
+        const submitted = waitForState(host, update => update.players.some(p => p.id === guests[guestIndex].id && p.hasSubmitted));
+        const pick = state.currentBlackCard.pick || 1;
+        guests[guestIndex].emit('submitCards', { lobbyCode, cardIds: hand.slice(0, pick).map(card => card.id) });
+        await submitted;
+    });
+});
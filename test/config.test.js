@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { defaultConfig, resolveConfig, getPublicConfig, formatHelp } = require('../lib/config');
+
+describe('config', () => {
+    it('accepts its own defaults', () => {
+        const { config, errors, warnings } = resolveConfig(defaultConfig());
+        assert.deepEqual(errors, []);
+        assert.deepEqual(warnings, []);
+        assert.equal(config.game.handSize, 10);
+        assert.equal(config.port, 3000);
+    });
+
+    it('keeps the defaults of options config.json leaves out', () => {
+        const { config, errors } = resolveConfig({ storage: { type: 'memory' }, game: { handSize: 12 } });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(config.storage, { type: 'memory', path: 'data/lobbies' });
+        assert.equal(config.game.handSize, 12);
+        assert.equal(config.game.minPlayers, 3);
+    });
+
+    it('lets environment variables override config.json and flags override both', () => {
+        const { config, errors } = resolveConfig({ port: 4000, game: { handSize: 12 }, watchPacks: true }, {
+            env: { PORT: '5000', CAH_GAME_HAND_SIZE: '8', CAH_ROOMS_FUNCTIONALITY: 'false', CAH_BANNED_CARDS: 'One, Two' },
+            argv: ['--port', '6000', '--no-watch-packs', '--game-min-players=4', '--profiles-path', 'null']
+        });
+        assert.deepEqual(errors, []);
+        assert.equal(config.port, 6000);
+        assert.equal(config.game.handSize, 8);
+        assert.equal(config.game.minPlayers, 4);
+        assert.equal(config.roomsFunctionality, false);
+        assert.equal(config.watchPacks, false);
+        assert.deepEqual(config.bannedCards, ['One', 'Two']);
+        assert.equal(config.profiles.path, null);
+    });
+
+    it('reports every bad value with where it came from', () => {
+        const { errors } = resolveConfig({ game: { handSize: 100 }, chatFilter: { action: 'delete' }, adminToken: null }, {
+            env: { CAH_GAME_MIN_PLAYERS: 'three' },
+            argv: ['--cluster-workers', '0']
+        });
+        assert.deepEqual(errors, [
+            'chatFilter.action in config.json must be one of: mask, reject.',
+            'adminToken in config.json is required.',
+            '--cluster-workers must be between 1 and 64.',
+            'game.handSize in config.json must be between 3 and 20.',
+            'CAH_GAME_MIN_PLAYERS must be a whole number.'
+        ]);
+    });
+
+    it('rejects unknown flags, flags without a value and groups that are not objects', () => {
+        const { errors } = resolveConfig({ gameHistory: 'data/games' }, { argv: ['--colour', '--no-port', '--deck-file'] });
+        assert.deepEqual(errors, [
+            'gameHistory in config.json must be an object.',
+            'Unknown command line option --colour, see --help.',
+            'Unknown command line option --no-port, see --help.',
+            '--deck-file needs a value.'
+        ]);
+    });
+
+    it('checks that lobbies by default fit enough players to start', () => {
+        const { errors } = resolveConfig({ game: { minPlayers: 6, defaultMaxPlayers: 5 } });
+        assert.deepEqual(errors, ['game.defaultMaxPlayers (5) must be at least game.minPlayers (6).']);
+        assert.deepEqual(resolveConfig({ game: { minPlayers: 2, defaultMaxPlayers: 2 } }).errors, []);
+    });
+
+    it('warns about unknown options and leaves them out', () => {
+        const { config, errors, warnings } = resolveConfig({ allowSameName: true, storage: { type: 'memory', url: 'redis://cache' } });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(warnings, ['Unknown option allowSameName in config.json.', 'Unknown option storage.url in config.json.']);
+        assert.equal('allowSameName' in config, false);
+        assert.equal('url' in config.storage, false);
+    });
+
+    it('only shows clients the public options', () => {
+        const { config } = resolveConfig({ adminToken: 'secret', game: { defaultMaxPlayers: 8 } });
+        assert.deepEqual(getPublicConfig(config), {
+            allowSameNames: false,
+            roomsFunctionality: true,
+            handSize: 10,
+            minPlayers: 3,
+            defaultScoreToWin: 7,
+            defaultMaxPlayers: 8
+        });
+    });
+
+    it('lists every option in the help text', () => {
+        const help = formatHelp();
+        assert.match(help, /--game-hand-size <value>\n +White cards in every hand \(CAH_GAME_HAND_SIZE, default: 10\)/);
+        assert.match(help, /--watch-packs, --no-watch-packs/);
+        assert.match(help, /--port <value>\n.*\(PORT, default: 3000\)/);
+    });
+});
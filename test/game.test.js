@@ -0,0 +1,523 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, createPlayer, getLobbyPlayer } = require('../lib/game');
+const { makeCards, makeLobby } = require('./helpers');
+
+const HAND_SIZE = 3;
+
+// A lobby of players named A, B, C... without time limits or house rules. Records every event the game emits.
+function makeGame({ players = 3, settings = {}, now } = {}) {
+    const names = Array.from({ length: players }, (_, i) => String.fromCharCode(65 + i));
+    const lobby = makeLobby('TEST1', createPlayer('A', 'A'), settings);
+    const game = new Game(lobby, { handSize: HAND_SIZE, now });
+    const events = [];
+    ['changed', 'message', 'roundWon', 'roundEnded', 'gameOver', 'playerRemoved', 'closed'].forEach(eventName => {
+        game.on(eventName, (...args) => events.push({ eventName, args }));
+    });
+    names.slice(1).forEach(name => game.join(createPlayer(name, name)));
+    return { game, lobby, events };
+}
+
+function czarName(lobby) {
+    return getLobbyPlayer(lobby, lobby.czarId).name;
+}
+
+// Every player except the czar plays the first card of their hand
+function playRound(game) {
+    game.lobby.players
+        .filter(p => p.id !== game.lobby.czarId)
+        .forEach(p => assert.equal(game.submit(p.id, [p.hand[0].id]), null));
+}
+
+// Nobody plays in time, so the round ends without a winner and nextRound can move on
+function skipRound(game) {
+    game.phaseTimeout();
+    game.nextRound();
+}
+
+function winnerSubmission(lobby, playerId) {
+    return lobby.roundSubmissions.find(sub => sub.playerId === playerId);
+}
+
+describe('starting a game', () => {
+    it('needs three players', () => {
+        const { game, lobby } = makeGame({ players: 2 });
+        const error = game.start(makeCards(20, 5));
+        assert.equal(error.code, 'needPlayers');
+        assert.equal(error.message, 'Need at least 3 players to start.');
+        assert.equal(lobby.gameState, 'waiting');
+    });
+
+    it('takes the minimum number of players as an option', () => {
+        const { lobby } = makeGame({ players: 3 });
+        const game = new Game(lobby, { handSize: HAND_SIZE, minPlayers: 4 });
+        assert.equal(game.start(makeCards(40, 5)).params.count, 4);
+        game.join(createPlayer('D', 'D'));
+        assert.equal(game.start(makeCards(40, 5)), null);
+        assert.equal(lobby.gameState, 'playing');
+    });
+
+    it('needs white and black cards', () => {
+        const { game } = makeGame();
+        assert.equal(game.start(makeCards(20, 0)).code, 'needCards');
+    });
+
+    it('deals every player a full hand and starts playing', () => {
+        const { game, lobby } = makeGame();
+        assert.equal(game.start(makeCards(20, 5)), null);
+        assert.equal(lobby.gameState, 'playing');
+        lobby.players.forEach(p => assert.equal(p.hand.length, HAND_SIZE));
+        assert.ok(lobby.currentBlackCard);
+        assert.ok(lobby.gameRecord);
+    });
+});
+
+describe('czar rotation', () => {
+    it('passes the czar role to the next player every round', () => {
+        const { game, lobby } = makeGame({ players: 4 });
+        game.start(makeCards(40, 10));
+        const czars = [czarName(lobby)];
+        for (let round = 0; round < 4; round++) {
+            skipRound(game);
+            czars.push(czarName(lobby));
+        }
+        assert.deepEqual(czars, ['B', 'C', 'D', 'A', 'B']);
+    });
+
+    it('skips players that cannot judge', () => {
+        const { game, lobby } = makeGame({ players: 4 });
+        getLobbyPlayer(lobby, 'C').canJudge = false;
+        game.start(makeCards(40, 10));
+        assert.equal(czarName(lobby), 'B');
+        skipRound(game);
+        assert.equal(czarName(lobby), 'D');
+    });
+
+    it('lands on the player after a czar who left', () => {
+        const { game, lobby } = makeGame({ players: 4 });
+        game.start(makeCards(40, 10));
+        assert.equal(czarName(lobby), 'B');
+        game.leave('B');
+        assert.equal(czarName(lobby), 'C');
+        assert.equal(lobby.gameState, 'playing');
+    });
+
+    it('does not let the czar submit cards', () => {
+        const { game, lobby } = makeGame();
+        game.start(makeCards(20, 5));
+        const czar = getLobbyPlayer(lobby, lobby.czarId);
+        assert.equal(game.submit(czar.id, [czar.hand[0].id]), null);
+        assert.equal(lobby.roundSubmissions.length, 0);
+    });
+});
+
+describe('deck reshuffling', () => {
+    it('deals white cards from the discard pile once the deck runs out', () => {
+        const { game, lobby } = makeGame();
+        // Exactly one hand each, the next deal has to come from the discard pile
+        game.start(makeCards(3 * HAND_SIZE, 10));
+        assert.equal(lobby.whiteDeck.length, 0);
+
+        playRound(game);
+        game.selectWinner(lobby.czarId, lobby.roundSubmissions[0].submissionId);
+        assert.equal(lobby.whiteDiscard.length, 2);
+
+        game.nextRound();
+        assert.equal(lobby.whiteDiscard.length, 0);
+        lobby.players.forEach(p => assert.equal(p.hand.length, HAND_SIZE));
+        const allWhite = lobby.players.flatMap(p => p.hand.map(c => c.id)).sort();
+        assert.equal(new Set(allWhite).size, 3 * HAND_SIZE);
+    });
+
+    it('draws black cards from the discard pile once the deck runs out', () => {
+        const { game, lobby } = makeGame();
+        game.start(makeCards(30, 2));
+        const seen = new Set([lobby.currentBlackCard.id]);
+        for (let round = 0; round < 4; round++) {
+            skipRound(game);
+            assert.equal(lobby.gameState, 'playing');
+            seen.add(lobby.currentBlackCard.id);
+            assert.equal(lobby.blackDeck.length + lobby.blackDiscard.length, 1);
+        }
+        assert.deepEqual([...seen].sort(), ['b0', 'b1']);
+    });
+
+    it('ends the game when there is no black card left at all', () => {
+        const { game, lobby, events } = makeGame();
+        game.start(makeCards(30, 1));
+        skipRound(game);
+        assert.equal(lobby.gameState, 'gameOver');
+        const gameOver = events.find(e => e.eventName === 'gameOver');
+        assert.equal(gameOver.args[0].info.message, 'No more black cards!');
+    });
+});
+
+describe('leaving during judging', () => {
+    function gameInJudging(players) {
+        const { game, lobby, events } = makeGame({ players });
+        game.start(makeCards(40, 10));
+        playRound(game);
+        assert.equal(lobby.gameState, 'judging');
+        return { game, lobby, events };
+    }
+
+    it('drops the submission of a player who leaves and keeps judging the rest', () => {
+        const { game, lobby } = gameInJudging(4);
+        const leaving = lobby.roundSubmissions[0];
+        game.leave(leaving.playerId);
+        assert.equal(lobby.gameState, 'judging');
+        assert.equal(lobby.roundSubmissions.length, 2);
+        assert.ok(!lobby.roundSubmissions.some(sub => sub.playerId === leaving.playerId));
+        assert.ok(lobby.whiteDiscard.some(card => card.id === leaving.cards[0].id));
+    });
+
+    it('keeps a disconnected player and their submission until they leave for good', () => {
+        const { game, lobby } = gameInJudging(4);
+        const submitter = lobby.roundSubmissions[0].playerId;
+        game.disconnect(submitter);
+        assert.equal(getLobbyPlayer(lobby, submitter).connected, false);
+        assert.equal(lobby.roundSubmissions.length, 3);
+
+        const seat = game.reconnect(getLobbyPlayer(lobby, submitter).sessionToken, 'new-socket');
+        assert.equal(seat.oldId, submitter);
+        assert.equal(seat.player.connected, true);
+        assert.equal(winnerSubmission(lobby, 'new-socket').playerId, 'new-socket');
+    });
+
+    it('starts a new round when the czar leaves', () => {
+        const { game, lobby } = gameInJudging(4);
+        assert.equal(czarName(lobby), 'B');
+        game.leave('B');
+        assert.equal(lobby.gameState, 'playing');
+        assert.equal(czarName(lobby), 'C');
+        assert.equal(lobby.roundSubmissions.length, 0);
+        lobby.players.forEach(p => assert.equal(p.hand.length, HAND_SIZE));
+    });
+
+    it('voids the round when the only submission leaves', () => {
+        const { game, lobby } = makeGame({ players: 4 });
+        game.start(makeCards(40, 10));
+        const player = getLobbyPlayer(lobby, 'C');
+        game.submit(player.id, [player.hand[0].id]);
+        game.phaseTimeout();
+        assert.equal(lobby.gameState, 'judging');
+
+        game.leave('C');
+        assert.equal(lobby.roundSubmissions.length, 0);
+        assert.equal(lobby.gameState, 'roundOver');
+        assert.equal(lobby.roundWinnerInfo.voided, true);
+    });
+
+    it('ends the game when fewer than three players are left', () => {
+        const { game, lobby, events } = gameInJudging(3);
+        game.leave('C');
+        assert.equal(lobby.gameState, 'gameOver');
+        assert.equal(events.find(e => e.eventName === 'gameOver').args[0].info.message, 'Not enough players to continue.');
+    });
+
+    it('closes the lobby once only bots are left', () => {
+        const { game, lobby, events } = gameInJudging(3);
+        lobby.players.find(p => p.id === 'C').isBot = true;
+        game.leave('B');
+        game.leave('A');
+        assert.ok(events.some(e => e.eventName === 'closed'));
+        assert.equal(game.closed, true);
+    });
+});
+
+describe('winning', () => {
+    it('scores a point for the chosen submission and records the round', () => {
+        const { game, lobby, events } = makeGame();
+        game.start(makeCards(20, 5));
+        playRound(game);
+        const winning = winnerSubmission(lobby, 'C');
+        game.selectWinner(lobby.czarId, winning.submissionId);
+
+        assert.equal(getLobbyPlayer(lobby, 'C').score, 1);
+        assert.equal(lobby.gameState, 'roundOver');
+        assert.equal(lobby.roundWinnerInfo.winnerName, 'C');
+        assert.equal(lobby.gameRecord.rounds.length, 1);
+        assert.equal(events.filter(e => e.eventName === 'roundWon').length, 1);
+    });
+
+    it('reports how long the round took', () => {
+        let time = 1000;
+        const { game, lobby, events } = makeGame({ now: () => time });
+        game.start(makeCards(20, 5));
+        time += 45000;
+        playRound(game);
+        game.selectWinner(lobby.czarId, winnerSubmission(lobby, 'C').submissionId);
+
+        const ended = events.filter(e => e.eventName === 'roundEnded');
+        assert.equal(ended.length, 1);
+        assert.equal(ended[0].args[0].winner.name, 'C');
+        assert.equal(ended[0].args[0].durationMs, 45000);
+    });
+
+    it('only lets the czar pick the winner', () => {
+        const { game, lobby } = makeGame();
+        game.start(makeCards(20, 5));
+        playRound(game);
+        game.selectWinner('C', winnerSubmission(lobby, 'C').submissionId);
+        assert.equal(lobby.gameState, 'judging');
+        assert.equal(getLobbyPlayer(lobby, 'C').score, 0);
+    });
+
+    it('ends the game once a player reaches scoreToWin', () => {
+        const { game, lobby, events } = makeGame({ settings: { scoreToWin: 2 } });
+        game.start(makeCards(40, 10));
+        let rounds = 0;
+        while (lobby.gameState !== 'gameOver') {
+            if (lobby.gameState === 'roundOver') game.nextRound();
+            playRound(game);
+            // A always wins when they are not judging, C wins the rounds A judges
+            const winner = lobby.czarId === 'A' ? 'C' : 'A';
+            game.selectWinner(lobby.czarId, winnerSubmission(lobby, winner).submissionId);
+            rounds++;
+        }
+
+        assert.equal(getLobbyPlayer(lobby, 'A').score, 2);
+        assert.equal(rounds, 2);
+        const gameOver = events.find(e => e.eventName === 'gameOver').args[0];
+        assert.equal(gameOver.winner.name, 'A');
+        assert.equal(gameOver.info.winnerName, 'A');
+        assert.equal(gameOver.record.winnerName, 'A');
+        assert.equal(lobby.gameRecord, null);
+        assert.equal(lobby.lastGameId, gameOver.record.id);
+    });
+
+    it('only moves on to the next round from a round result', () => {
+        const { game, lobby, events } = makeGame();
+        game.nextRound();
+        assert.equal(lobby.gameState, 'waiting');
+        assert.ok(!events.some(e => e.eventName === 'gameOver'));
+
+        game.start(makeCards(20, 5));
+        const player = lobby.players.find(p => p.id !== lobby.czarId);
+        game.submit(player.id, [player.hand[0].id]);
+        game.nextRound();
+        assert.equal(lobby.gameState, 'playing');
+        assert.equal(lobby.roundSubmissions.length, 1);
+
+        playRound(game);
+        game.nextRound();
+        assert.equal(lobby.gameState, 'judging');
+        game.selectWinner(lobby.czarId, lobby.roundSubmissions[0].submissionId);
+        game.nextRound();
+        assert.equal(lobby.gameState, 'playing');
+        assert.equal(lobby.roundSubmissions.length, 0);
+    });
+
+    it('ignores further rounds once the game is over', () => {
+        const { game, lobby } = makeGame({ settings: { scoreToWin: 1 } });
+        game.start(makeCards(20, 5));
+        playRound(game);
+        game.selectWinner(lobby.czarId, lobby.roundSubmissions[0].submissionId);
+        assert.equal(lobby.gameState, 'gameOver');
+        game.nextRound();
+        assert.equal(lobby.gameState, 'gameOver');
+    });
+});
+
+describe('voting cards out', () => {
+    it('needs more than half of the human players', () => {
+        const { game, lobby } = makeGame({ players: 4 });
+        game.start(makeCards(40, 10));
+        const card = getLobbyPlayer(lobby, 'A').hand[0];
+        assert.equal(game.voteRemoveCard('A', card.id), null);
+        assert.equal(game.voteRemoveCard('B', card.id), null);
+        assert.equal(lobby.cardVotes.length, 1);
+        assert.equal(lobby.cardVotes[0].voterIds.length, 2);
+
+        game.voteRemoveCard('C', card.id);
+        assert.equal(lobby.cardVotes.length, 0);
+        assert.ok(!getLobbyPlayer(lobby, 'A').hand.some(c => c.text === card.text));
+        assert.equal(getLobbyPlayer(lobby, 'A').hand.length, HAND_SIZE);
+    });
+
+    it('only lets players open a vote for cards they can see', () => {
+        const { game, lobby } = makeGame();
+        game.start(makeCards(20, 5));
+        const othersCard = getLobbyPlayer(lobby, 'B').hand[0];
+        assert.equal(game.voteRemoveCard('A', othersCard.id).code, 'cardNotInPlay');
+        assert.equal(game.voteRemoveCard('A', lobby.currentBlackCard.id), null);
+    });
+
+    it('keeps played cards out of reach until judging starts', () => {
+        const { game, lobby } = makeGame({ players: 4 });
+        game.start(makeCards(40, 10));
+        const [author, prober] = lobby.players.filter(p => p.id !== lobby.czarId);
+        const played = author.hand[0];
+        assert.equal(game.submit(author.id, [played.id]), null);
+
+        assert.equal(game.voteRemoveCard(prober.id, played.id).code, 'cardNotInPlay');
+        assert.equal(game.voteRemoveCard(lobby.czarId, played.id).code, 'cardNotInPlay');
+        assert.deepEqual(lobby.cardVotes, []);
+    });
+
+    it('keeps a removed black card out of the discard pile and adds it to the blocklist', () => {
+        const { game, lobby } = makeGame();
+        game.start(makeCards(20, 2));
+        const blackCard = lobby.currentBlackCard;
+        game.voteRemoveCard('A', blackCard.id);
+        game.voteRemoveCard('B', blackCard.id);
+        assert.deepEqual(lobby.settings.blockedCards, [blackCard.text]);
+
+        game.skipBlackCard();
+        game.skipBlackCard();
+        assert.equal(lobby.blackDiscard.length + lobby.blackDeck.length, 0);
+        assert.notEqual(lobby.currentBlackCard.text, blackCard.text);
+    });
+
+    it('does not touch the blocklist when blockVotedCards is off', () => {
+        const { game, lobby } = makeGame({ settings: { blockVotedCards: false } });
+        game.start(makeCards(20, 5));
+        const card = getLobbyPlayer(lobby, 'A').hand[0];
+        game.voteRemoveCard('A', card.id);
+        game.voteRemoveCard('B', card.id);
+        assert.equal(lobby.settings.blockedCards, undefined);
+        assert.ok(!getLobbyPlayer(lobby, 'A').hand.some(c => c.id === card.id));
+    });
+
+    it('does not deal a played card again once it was voted out', () => {
+        const { game, lobby } = makeGame();
+        game.start(makeCards(3 * HAND_SIZE, 10));
+        playRound(game);
+        const played = lobby.roundSubmissions[0].cards[0];
+        game.voteRemoveCard('A', played.id);
+        game.voteRemoveCard('B', played.id);
+        game.selectWinner(lobby.czarId, lobby.roundSubmissions[0].submissionId);
+
+        game.nextRound();
+        const allWhite = lobby.players.flatMap(p => p.hand.map(c => c.id));
+        assert.ok(!allWhite.includes(played.id));
+    });
+});
+
+describe('game modes', () => {
+    // Plays a round won by the first of the given players who isn't judging it
+    function winRound(game, ...winnerIds) {
+        const { lobby } = game;
+        if (lobby.gameState === 'roundOver') game.nextRound();
+        playRound(game);
+        const winnerId = winnerIds.find(id => id !== lobby.czarId);
+        game.selectWinner(lobby.czarId, winnerSubmission(lobby, winnerId).submissionId);
+    }
+
+    it('ends a fixed rounds game after the last round', () => {
+        const { game, lobby, events } = makeGame({ settings: { gameMode: 'rounds', roundLimit: 2 } });
+        game.start(makeCards(40, 10));
+        winRound(game, 'C');
+        assert.equal(lobby.gameState, 'roundOver');
+        winRound(game, 'A');
+        assert.equal(lobby.gameState, 'roundOver', 'A and C are tied, sudden death');
+        winRound(game, 'C');
+        assert.equal(lobby.gameState, 'gameOver');
+        assert.equal(events.find(e => e.eventName === 'gameOver').args[0].winner.name, 'C');
+    });
+
+    it('ends a timed game once the time is up, a tie going to whoever scored first', () => {
+        const { game, lobby, events } = makeGame({ settings: { gameMode: 'timed', gameTimeLimit: 5 } });
+        game.start(makeCards(40, 10));
+        assert.ok(lobby.gameEndsAt > Date.now());
+        winRound(game, 'C');
+        winRound(game, 'A');
+        assert.equal(lobby.gameState, 'roundOver');
+
+        lobby.gameEndsAt = Date.now() - 1;
+        game.nextRound();
+        game.phaseTimeout(); // Nobody plays, the voided round is the last one
+        assert.equal(lobby.gameState, 'gameOver');
+        assert.equal(events.find(e => e.eventName === 'gameOver').args[0].winner.name, 'C');
+    });
+
+    it('keeps an endless game going until the host ends it', () => {
+        const { game, lobby, events } = makeGame({ settings: { gameMode: 'endless', scoreToWin: 1 } });
+        game.start(makeCards(60, 20));
+        for (let round = 0; round < 4; round++) winRound(game, 'C', 'B');
+        assert.equal(lobby.gameState, 'roundOver');
+
+        assert.equal(game.endEarly(), null);
+        const gameOver = events.find(e => e.eventName === 'gameOver').args[0];
+        assert.equal(gameOver.winner.name, 'C');
+        assert.equal(gameOver.info.message, 'The host ended the game.');
+        assert.equal(game.endEarly().code, 'noGameToEnd');
+    });
+
+    it('ranks the endless leaderboard by the last rounds only', () => {
+        const { game, lobby, events } = makeGame({ settings: { gameMode: 'endless' } });
+        game.start(makeCards(100, 40));
+        for (let round = 0; round < 20; round++) winRound(game, 'C', 'B');
+        for (let round = 0; round < 10; round++) winRound(game, 'A', 'B');
+        assert.ok(getLobbyPlayer(lobby, 'C').score > getLobbyPlayer(lobby, 'A').score);
+
+        game.endEarly();
+        assert.equal(events.find(e => e.eventName === 'gameOver').args[0].winner.name, 'A');
+    });
+
+    it('has everyone vote instead of a czar in czar-less mode', () => {
+        const { game, lobby } = makeGame({ settings: { gameMode: 'czarless' } });
+        game.start(makeCards(40, 10));
+        assert.equal(lobby.czarId, null);
+        lobby.players.forEach(p => game.submit(p.id, [p.hand[0].id]));
+        assert.equal(lobby.gameState, 'judging');
+
+        const cSubmission = winnerSubmission(lobby, 'C');
+        ['A', 'B'].forEach(id => assert.equal(game.houseRuleAction(id, 'godIsDead', 'vote', { submissionId: cSubmission.submissionId }), null));
+        game.houseRuleAction('C', 'godIsDead', 'vote', { submissionId: winnerSubmission(lobby, 'A').submissionId });
+        assert.equal(lobby.gameState, 'roundOver');
+        assert.equal(getLobbyPlayer(lobby, 'C').score, 1);
+    });
+
+    it('counts the votes when the last player who has not voted disconnects', () => {
+        const { game, lobby } = makeGame({ players: 4, settings: { gameMode: 'czarless' } });
+        game.start(makeCards(40, 10));
+        lobby.players.forEach(p => game.submit(p.id, [p.hand[0].id]));
+        const dSubmission = winnerSubmission(lobby, 'D');
+        ['A', 'B', 'C'].forEach(id => game.houseRuleAction(id, 'godIsDead', 'vote', { submissionId: dSubmission.submissionId }));
+        assert.equal(lobby.gameState, 'judging');
+
+        game.disconnect('D');
+        assert.equal(lobby.gameState, 'roundOver');
+        assert.equal(getLobbyPlayer(lobby, 'D').score, 1);
+    });
+
+    it('waits for players to come back when the last one disconnects', () => {
+        const { game, lobby } = makeGame({ players: 4, settings: { gameMode: 'czarless' } });
+        game.start(makeCards(40, 10));
+        lobby.players.forEach(p => game.submit(p.id, [p.hand[0].id]));
+        game.houseRuleAction('A', 'godIsDead', 'vote', { submissionId: winnerSubmission(lobby, 'B').submissionId });
+
+        ['A', 'B', 'C', 'D'].forEach(id => game.disconnect(id));
+        assert.equal(lobby.gameState, 'judging');
+        assert.equal(getLobbyPlayer(lobby, 'B').score, 0);
+    });
+
+    it('does not count votes when everyone is away after a restart', () => {
+        const { game, lobby } = makeGame({ players: 4, settings: { gameMode: 'czarless' } });
+        game.start(makeCards(40, 10));
+        lobby.players.forEach(p => game.submit(p.id, [p.hand[0].id]));
+        const dSubmission = winnerSubmission(lobby, 'D');
+        ['A', 'B', 'C'].forEach(id => game.houseRuleAction(id, 'godIsDead', 'vote', { submissionId: dSubmission.submissionId }));
+
+        game.disconnectAll();
+        assert.equal(lobby.gameState, 'judging');
+        assert.ok(lobby.players.every(p => !p.connected));
+    });
+
+    it('has votes for the cards of a player who left cast again', () => {
+        const { game, lobby } = makeGame({ players: 4, settings: { gameMode: 'czarless' } });
+        game.start(makeCards(40, 10));
+        lobby.players.forEach(p => game.submit(p.id, [p.hand[0].id]));
+        const vote = (id, playerId) => game.houseRuleAction(id, 'godIsDead', 'vote', { submissionId: winnerSubmission(lobby, playerId).submissionId });
+        vote('A', 'C');
+        vote('B', 'C');
+        vote('C', 'D');
+
+        game.leave('D');
+        assert.equal(lobby.gameState, 'judging');
+        vote('C', 'A');
+        assert.equal(lobby.gameState, 'roundOver');
+        assert.equal(getLobbyPlayer(lobby, 'C').score, 1);
+    });
+});
@@ -0,0 +1,31 @@
+// Fixtures shared by the game and bot tests
+const { createLobbyState } = require('../lib/game');
+
+// With mixedPicks every other black card is a pick 2
+function makeCards(whiteCount, blackCount, { mixedPicks = false } = {}) {
+    return {
+        white: Array.from({ length: whiteCount }, (_, i) => ({ id: `w${i}`, text: `White ${i}` })),
+        black: Array.from({ length: blackCount }, (_, i) => {
+            const pick = mixedPicks ? 1 + (i % 2) : 1;
+            return { id: `b${i}`, text: `Black ${i} ${Array(pick).fill('___').join(' and ')}`, pick };
+        })
+    };
+}
+
+// A private lobby played to 3 points, without time limits or house rules
+function makeLobby(code, host, settings = {}) {
+    return createLobbyState(code, host, {
+        scoreToWin: 3,
+        maxPlayers: 10,
+        selectedPackIndexes: [],
+        isPrivate: true,
+        playTimeLimit: 0,
+        judgeTimeLimit: 0,
+        judgeTimeoutAction: 'random',
+        roundOverDelay: 0,
+        houseRules: [],
+        ...settings
+    });
+}
+
+module.exports = { makeCards, makeLobby };
@@ -0,0 +1,68 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, configureLogger } = require('../lib/logger');
+
+const lines = [];
+configureLogger({ write: (level, line) => lines.push({ level, entry: JSON.parse(line) }) });
+
+describe('logger', () => {
+    beforeEach(() => {
+        lines.length = 0;
+        configureLogger({ level: 'info' });
+    });
+
+    it('writes one JSON entry with the message and fields', () => {
+        new Logger().info('Lobby created', { lobbyCode: 'AB12C', playerName: 'Ann' });
+        assert.equal(lines.length, 1);
+        const { level, entry } = lines[0];
+        assert.equal(level, 'info');
+        assert.equal(entry.level, 'info');
+        assert.equal(entry.msg, 'Lobby created');
+        assert.equal(entry.lobbyCode, 'AB12C');
+        assert.equal(entry.playerName, 'Ann');
+        assert.ok(!Number.isNaN(Date.parse(entry.time)));
+    });
+
+    it('drops entries below the configured level', () => {
+        const log = new Logger();
+        log.debug('Hidden');
+        configureLogger({ level: 'warn' });
+        log.info('Hidden too');
+        log.warn('Shown');
+        log.error('Shown too');
+        assert.deepEqual(lines.map(l => l.entry.msg), ['Shown', 'Shown too']);
+    });
+
+    it('ignores unknown levels', () => {
+        configureLogger({ level: 'verbose' });
+        new Logger().debug('Hidden');
+        assert.equal(lines.length, 0);
+    });
+
+    it('adds the context of child loggers to every entry', () => {
+        const lobbyLog = new Logger({ worker: 1 }).child({ lobbyCode: 'AB12C' });
+        lobbyLog.child({ socketId: 'abc' }).info('Joined lobby', { playerName: 'Ann' });
+        lobbyLog.info('Lobby is empty');
+        assert.deepEqual(lines[0].entry, { ...lines[0].entry, worker: 1, lobbyCode: 'AB12C', socketId: 'abc', playerName: 'Ann' });
+        assert.equal(lines[1].entry.socketId, undefined);
+    });
+
+    it('writes errors with their message and stack', () => {
+        const err = Object.assign(new Error('Disk full'), { code: 'ENOSPC' });
+        new Logger().error('Failed to save', { err });
+        const { entry } = lines[0];
+        assert.equal(entry.err.name, 'Error');
+        assert.equal(entry.err.message, 'Disk full');
+        assert.equal(entry.err.code, 'ENOSPC');
+        assert.match(entry.err.stack, /Disk full/);
+    });
+
+    it('keeps the entry when a field cannot be serialized', () => {
+        const circular = {};
+        circular.self = circular;
+        new Logger({ lobbyCode: 'AB12C' }).warn('Odd data', { circular });
+        assert.equal(lines[0].entry.msg, 'Odd data');
+        assert.equal(lines[0].entry.lobbyCode, 'AB12C');
+        assert.ok(lines[0].entry.logError);
+    });
+});
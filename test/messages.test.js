@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { serverMessage, formatMessage, toMessage } = require('../lib/messages');
+const { validatePayload, socketEvents, configureMinPlayers } = require('../lib/validation');
+
+describe('server messages', () => {
+    it('fills in the parameters of a code', () => {
+        assert.deepEqual(serverMessage('needPlayers', { count: 3 }), {
+            code: 'needPlayers',
+            params: { count: 3 },
+            message: 'Need at least 3 players to start.'
+        });
+    });
+
+    it('uses the English text of a message given as a parameter', () => {
+        const reason = serverMessage('onlySubmissionLeft', { name: 'Ann' });
+        assert.equal(serverMessage('roundVoided', { reason }).message,
+            'Ann left and took the only submission with them. No point awarded this round.');
+    });
+
+    it('leaves unknown placeholders in place', () => {
+        assert.equal(formatMessage('{name} and {other}', { name: 'Ann' }), 'Ann and {other}');
+    });
+
+    it('wraps plain text without a code', () => {
+        assert.deepEqual(toMessage('Hello.'), { code: null, params: {}, message: 'Hello.' });
+        assert.equal(toMessage(null), null);
+        assert.deepEqual(toMessage(serverMessage('lobbyFull')), serverMessage('lobbyFull'));
+    });
+
+    it('names the field of a validation error by id', () => {
+        const { error } = validatePayload(socketEvents.createLobby.payload, {
+            playerName: 'Ann',
+            settings: { scoreToWin: 500 }
+        });
+        assert.equal(error.code, 'fieldOutOfRange');
+        assert.equal(error.params.fieldId, 'scoreToWin');
+        assert.match(error.message, /^Score to win must be between/);
+    });
+
+    it('lets lobbies fit as few players as a game needs to start', t => {
+        t.after(() => configureMinPlayers(3));
+        const settings = maxPlayers => validatePayload(socketEvents.updateSettings.payload, { lobbyCode: 'ABCDE', settings: { maxPlayers } });
+        assert.equal(settings(2).error.code, 'fieldOutOfRange');
+        configureMinPlayers(2);
+        assert.equal(settings(2).value.settings.maxPlayers, 2);
+        assert.match(settings(1).error.message, /^Max players must be between 2 and 20/);
+    });
+
+    it('rejects malformed language tags', () => {
+        const { error } = validatePayload(socketEvents.getPackList.payload, { language: 'not a language' });
+        assert.equal(error.code, 'invalidLanguage');
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry, mergeSnapshots, renderMetrics } = require('../lib/metrics');
+
+function makeRegistry() {
+    const registry = new MetricsRegistry();
+    return {
+        registry,
+        sockets: registry.gauge('sockets', 'Connected sockets.'),
+        events: registry.counter('events_total', 'Socket events.', ['event']),
+        rounds: registry.histogram('round_seconds', 'Round duration.', [30, 60])
+    };
+}
+
+describe('metrics', () => {
+    it('renders the Prometheus text format', () => {
+        const { registry, sockets, events } = makeRegistry();
+        sockets.set({}, 4);
+        events.inc({ event: 'joinLobby' });
+        events.inc({ event: 'joinLobby' });
+        events.inc({ event: 'submitCards' }, 3);
+
+        const text = renderMetrics(registry.snapshot());
+        assert.match(text, /^# HELP sockets Connected sockets\.\n# TYPE sockets gauge\nsockets 4\n/);
+        assert.match(text, /# TYPE events_total counter\nevents_total\{event="joinLobby"\} 2\nevents_total\{event="submitCards"\} 3\n/);
+    });
+
+    it('shows metrics without labels before anything happened', () => {
+        const text = renderMetrics(makeRegistry().registry.snapshot());
+        assert.match(text, /\nsockets 0\n/);
+        assert.match(text, /\nround_seconds_count 0\n/);
+    });
+
+    it('counts histogram observations into cumulative buckets', () => {
+        const { registry, rounds } = makeRegistry();
+        [20, 45, 90].forEach(seconds => rounds.observe(seconds));
+
+        const text = renderMetrics(registry.snapshot());
+        assert.match(text, /round_seconds_bucket\{le="30"\} 1\n/);
+        assert.match(text, /round_seconds_bucket\{le="60"\} 2\n/);
+        assert.match(text, /round_seconds_bucket\{le="\+Inf"\} 3\n/);
+        assert.match(text, /round_seconds_sum 155\n/);
+        assert.match(text, /round_seconds_count 3\n/);
+    });
+
+    it('escapes label values', () => {
+        const { registry, events } = makeRegistry();
+        events.inc({ event: 'say "hi"\\\n' });
+        assert.match(renderMetrics(registry.snapshot()), /events_total\{event="say \\"hi\\"\\\\\\n"\} 1/);
+    });
+
+    it('adds up the snapshots of several workers', () => {
+        const first = makeRegistry();
+        const second = makeRegistry();
+        first.sockets.set({}, 2);
+        second.sockets.set({}, 5);
+        first.events.inc({ event: 'joinLobby' });
+        second.events.inc({ event: 'joinLobby' });
+        second.events.inc({ event: 'chatMessage' });
+        first.rounds.observe(10);
+        second.rounds.observe(50);
+
+        const merged = mergeSnapshots([first.registry.snapshot(), second.registry.snapshot()]);
+        const text = renderMetrics(merged);
+        assert.match(text, /\nsockets 7\n/);
+        assert.match(text, /events_total\{event="joinLobby"\} 2\n/);
+        assert.match(text, /events_total\{event="chatMessage"\} 1\n/);
+        assert.match(text, /round_seconds_bucket\{le="30"\} 1\n/);
+        assert.match(text, /round_seconds_bucket\{le="60"\} 2\n/);
+        assert.match(text, /round_seconds_sum 60\n/);
+        // Merging leaves the worker snapshots alone
+        assert.match(renderMetrics(first.registry.snapshot()), /\nsockets 2\n/);
+    });
+
+    it('forgets old label values on reset', () => {
+        const { registry, events } = makeRegistry();
+        events.inc({ event: 'joinLobby' });
+        events.reset();
+        events.inc({ event: 'chatMessage' });
+        const text = renderMetrics(registry.snapshot());
+        assert.doesNotMatch(text, /joinLobby/);
+        assert.match(text, /chatMessage/);
+    });
+});
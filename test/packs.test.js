@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CAHDeck = require('../lib/cahDeck');
+const { resolvePackPreset } = require('../lib/packPresets');
+
+const deck = CAHDeck.fromFullJSON([
+    {
+        id: 'base',
+        name: 'CAH Base Set',
+        official: true,
+        white: ['The Dalai Lama.', 'A <i>sassy</i> llama.', 'Bees?'],
+        black: [{ text: 'What would the llama do? _', pick: 1 }]
+    },
+    {
+        id: 'first',
+        name: 'CAH: First Expansion',
+        official: true,
+        white: ['Llama drama.', 'Socks.'],
+        black: []
+    },
+    {
+        id: 'holiday',
+        name: '2012 Holiday Pack',
+        official: true,
+        white: ['Santa.'],
+        black: [{ text: 'Why is Santa sad? _', pick: 1 }]
+    },
+    {
+        id: 'homebrew',
+        name: 'Office Jokes',
+        white: ['The printer.'],
+        black: []
+    }
+]);
+
+describe('card search', () => {
+    it('lists the packs with matching cards, most matches first', () => {
+        const results = deck.searchCards('LLAMA');
+        assert.deepEqual(results.map(r => r.id), ['base', 'first']);
+        assert.deepEqual(results[0].matches, { white: 1, black: 1 });
+        assert.equal(results[0].examples[0], 'What would the llama do? _');
+    });
+
+    it('needs every word of the query in the same card', () => {
+        assert.deepEqual(deck.searchCards('dalai llama').map(r => r.id), []);
+        assert.deepEqual(deck.searchCards('lama dalai').map(r => r.id), ['base']);
+    });
+
+    it('ignores markup in card text', () => {
+        assert.equal(deck.searchCards('sassy llama')[0].matches.white, 1);
+    });
+
+    it('finds nothing for an empty query', () => {
+        assert.deepEqual(deck.searchCards('   '), []);
+    });
+});
+
+describe('pack preview', () => {
+    it('samples up to count cards of each color', () => {
+        const preview = deck.samplePack('base', 2);
+        assert.equal(preview.name, 'CAH Base Set');
+        assert.equal(preview.white.length, 2);
+        assert.equal(preview.black.length, 1);
+        assert.deepEqual(preview.counts, { white: 3, black: 1, total: 4 });
+    });
+
+    it('returns undefined for an unknown pack', () => {
+        assert.equal(deck.samplePack('nope', 2), undefined);
+    });
+});
+
+describe('pack presets', () => {
+    it('selects official packs', () => {
+        assert.deepEqual(resolvePackPreset(deck, 'official'), ['base', 'first', 'holiday']);
+    });
+
+    it('selects the base set and expansions', () => {
+        assert.deepEqual(resolvePackPreset(deck, 'baseAndExpansions'), ['base', 'first']);
+    });
+
+    it('leaves out packs with cards matching exclude', () => {
+        assert.deepEqual(resolvePackPreset(deck, 'all', { exclude: 'santa' }), ['base', 'first', 'homebrew']);
+    });
+
+    it('returns null for an unknown preset', () => {
+        assert.equal(resolvePackPreset(deck, 'nope'), null);
+    });
+});
+
+describe('pack languages', () => {
+    const multilingual = CAHDeck.fromFullJSON([
+        { id: 'en', name: 'English', white: ['Bees?'], black: [] },
+        { id: 'pt', name: 'Português', lang: 'pt', white: ['Abelhas?'], black: [] },
+        { id: 'br', name: 'Brasil', language: 'pt_BR', white: ['Abelhas!'], black: [] },
+        { id: 'bad', name: 'Broken tag', lang: 'not a language!', white: ['Socks.'], black: [] }
+    ]);
+
+    it('normalizes the tag and falls back to English', () => {
+        assert.deepEqual(multilingual.listPacks().map(pack => pack.language), ['en', 'pt', 'pt-br', 'en']);
+    });
+
+    it('filters packs by language, a base language includes its regions', () => {
+        assert.deepEqual(multilingual.listPacks({ language: 'pt' }).map(pack => pack.id), ['pt', 'br']);
+        assert.deepEqual(multilingual.listPacks({ language: 'pt-BR' }).map(pack => pack.id), ['br']);
+        assert.deepEqual(multilingual.listPacks({ language: 'en' }).map(pack => pack.id), ['en', 'bad']);
+    });
+
+    it('keeps the language through the compact format', () => {
+        const compact = CAHDeck.toCompactJSON([multilingual.getPack('br')]);
+        assert.equal(compact.metadata.br.lang, 'pt-br');
+        assert.equal(CAHDeck.fromCompactJSON(compact).listPacks()[0].language, 'pt-br');
+    });
+});
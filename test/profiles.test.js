@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ProfileStore } = require('../lib/profiles');
+
+const AWKWARD_TEXTS = ['constructor', 'toString', '__proto__', 'hasOwnProperty'];
+
+describe('ProfileStore', () => {
+    it('counts winning cards whatever their text', async () => {
+        const store = new ProfileStore();
+        const { profile } = await store.claim('Alice', 'secret');
+        store.recordRoundWin(profile.id, AWKWARD_TEXTS);
+        store.recordRoundWin(profile.id, ['__proto__', 'A normal card']);
+
+        assert.equal(profile.roundsWon, 2);
+        assert.deepEqual(store.toPublic(profile).favoriteCards, [
+            { text: '__proto__', wins: 2 },
+            { text: 'constructor', wins: 1 },
+            { text: 'toString', wins: 1 },
+            { text: 'hasOwnProperty', wins: 1 },
+            { text: 'A normal card', wins: 1 }
+        ]);
+    });
+
+    it('counts winning cards of profiles loaded from the file', async t => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cah-profiles-'));
+        t.after(() => fs.rm(dir, { recursive: true, force: true }));
+        const filePath = path.join(dir, 'profiles.json');
+        const saved = new ProfileStore(filePath);
+        const { profile } = await saved.claim('Alice', 'secret');
+        saved.recordRoundWin(profile.id, AWKWARD_TEXTS);
+        clearTimeout(saved.saveTimer);
+        await saved._save();
+
+        const store = new ProfileStore(filePath);
+        await store.load();
+        const loaded = store.findByName('alice');
+        store.recordRoundWin(loaded.id, AWKWARD_TEXTS);
+        assert.deepEqual(store.toPublic(loaded).favoriteCards.map(card => card.wins), [2, 2, 2, 2]);
+        assert.deepEqual(store.toPublic(loaded).favoriteCards.map(card => card.text).sort(), [...AWKWARD_TEXTS].sort());
+        clearTimeout(store.saveTimer);
+    });
+});